@@ -0,0 +1,110 @@
+// Achievements - unlockable goals for every mini-game
+// Listens to GameEvents (events.js); each achievement watches one event type
+// and decides from its payload and the lifetime count of that event whether it
+// has been earned. Unlocks are saved in localStorage and announced with a toast.
+
+const Achievements = {
+    STORAGE_KEY: 'chesa-achievements-v1',
+    TOAST_TIME: 3500, // ms a toast stays on screen
+
+    // event: a GameEvents type. test(data, count): count is how many times
+    // that event has ever happened in that game
+    LIST: [
+        { id: 'leli-first-10', game: 'leli', icon: '🚽', title: 'Getting the Hang of It', description: 'Catch 10 poops in Leli Poop', event: 'catch', test: (data, count) => count >= 10 },
+        { id: 'leli-500', game: 'leli', icon: '🧻', title: 'Plumbing Professional', description: 'Catch 500 poops in total', event: 'catch', test: (data, count) => count >= 500 },
+        { id: 'leli-golden', game: 'leli', icon: '✨', title: 'Solid Gold', description: 'Catch a golden poop', event: 'catch', test: data => data.type === 'golden' },
+        { id: 'leli-combo', game: 'leli', icon: '🔥', title: 'On a Roll', description: 'Reach the x5 combo multiplier', event: 'catch', test: data => data.multiplier >= 5 },
+        { id: 'leli-apocalypse', game: 'leli', icon: '☠️', title: 'Survivor', description: 'Reach the Poopocalypse wave', event: 'wave', test: data => data.name === 'Poopocalypse' },
+        { id: 'flappy-first', game: 'flappy', icon: '🐦', title: 'Lift Off', description: 'Pass your first pipe', event: 'pipePassed', test: () => true },
+        { id: 'flappy-50', game: 'flappy', icon: '🟩', title: 'Pipe Dream', description: 'Pass 50 pipes in Kuh Kayi Flap', event: 'pipePassed', test: (data, count) => count >= 50 },
+        { id: 'flappy-night', game: 'flappy', icon: '🌙', title: 'Night Owl', description: 'Fly until nightfall', event: 'biome', test: data => data.name === 'Night' },
+        { id: 'flappy-coins', game: 'flappy', icon: '🪙', title: 'Coin Collector', description: 'Collect 10 coins in one flight', event: 'coin', test: data => data.coins >= 10 },
+        { id: 'flappy-gold', game: 'flappy', icon: '🥇', title: 'Gold Standard', description: 'Earn a gold medal', event: 'gameOver', test: data => data.medal === 'gold' },
+        { id: 'angry-first-clear', game: 'angry', icon: '😡', title: 'Pig Problem Solved', description: 'Clear a level in Angry Leli', event: 'levelCleared', test: () => true },
+        { id: 'angry-one-bird', game: 'angry', icon: '🎯', title: 'One and Done', description: 'Clear a level with one bird', event: 'levelCleared', test: data => data.birdsUsed === 1 },
+        { id: 'angry-three-stars', game: 'angry', icon: '⭐', title: 'Perfectionist', description: 'Earn three stars on a level', event: 'levelCleared', test: data => data.stars === 3 },
+        { id: 'angry-all-levels', game: 'angry', icon: '🏰', title: 'Demolition Crew', description: 'Clear every level', event: 'levelCleared', test: data => data.levelsCleared >= data.levelCount }
+    ],
+
+    data: null, // { unlocked: { id: date }, counts: { 'game.event': n } }
+    toastStack: null,
+
+    load: function () {
+        if (this.data) return this.data;
+
+        this.data = { unlocked: {}, counts: {} };
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : {};
+            if (parsed && typeof parsed.unlocked === 'object') this.data.unlocked = parsed.unlocked || {};
+            if (parsed && typeof parsed.counts === 'object') this.data.counts = parsed.counts || {};
+        } catch (e) {
+            console.warn('Could not read achievements:', e);
+        }
+        return this.data;
+    },
+
+    save: function () {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            console.warn('Could not save achievements:', e);
+        }
+    },
+
+    isUnlocked: function (id) {
+        return !!this.load().unlocked[id];
+    },
+
+    getUnlockedDate: function (id) {
+        return this.load().unlocked[id] || null;
+    },
+
+    // Subscribe to every event type some achievement is waiting for
+    init: function () {
+        const events = new Set(this.LIST.map(achievement => achievement.event));
+        events.forEach(event => {
+            GameEvents.on(event, data => this.track(data.game, event, data));
+        });
+    },
+
+    // Count an event and unlock whatever it completes. Replays never count.
+    track: function (game, event, data = {}) {
+        if (typeof Replay !== 'undefined' && Replay.isPlaying()) return;
+
+        const store = this.load();
+        const key = `${game}.${event}`;
+        store.counts[key] = (store.counts[key] || 0) + 1;
+
+        this.LIST.forEach(achievement => {
+            if (achievement.game !== game || achievement.event !== event) return;
+            if (store.unlocked[achievement.id]) return;
+            if (!achievement.test(data, store.counts[key])) return;
+            store.unlocked[achievement.id] = new Date().toISOString();
+            this.showToast(achievement);
+        });
+        this.save();
+    },
+
+    showToast: function (achievement) {
+        if (!this.toastStack) this.toastStack = document.getElementById('achievement-toasts');
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        const icon = document.createElement('span');
+        icon.className = 'achievement-icon';
+        icon.textContent = achievement.icon;
+        const text = document.createElement('div');
+        const heading = document.createElement('strong');
+        heading.textContent = 'Achievement unlocked!';
+        const title = document.createElement('span');
+        title.textContent = achievement.title;
+        text.append(heading, title);
+        toast.append(icon, text);
+
+        this.toastStack.appendChild(toast);
+        setTimeout(() => toast.remove(), this.TOAST_TIME);
+    }
+};
+
+Achievements.init();
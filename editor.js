@@ -0,0 +1,379 @@
+// Angry Leli Level Editor
+// Edits a level in the levels.js JSON format directly on the game canvas:
+// drag pigs and blocks around, drag a block's corner handle to resize it,
+// then test-play the level or export it as a file.
+
+const AngryLevelEditor = {
+    screens: ['angry-editor-panel'],
+    pausable: false,
+
+    level: null,
+    selected: null, // { kind: 'pig' | 'obstacle', index }
+    drag: null, // { mode: 'move' | 'resize', offsetX, offsetY }
+
+    HANDLE_SIZE: 12,
+    MIN_BLOCK_SIZE: 8,
+
+    init: function () {
+        this.panel = document.getElementById('angry-editor-panel');
+        this.nameInput = document.getElementById('editor-name');
+        this.birdsInput = document.getElementById('editor-birds');
+        this.healthInput = document.getElementById('editor-health');
+        this.materialSelect = document.getElementById('editor-material');
+        this.selectionInfo = document.getElementById('editor-selection');
+        this.errorBox = document.getElementById('editor-errors');
+
+        Object.keys(LevelFormat.MATERIALS).forEach(material => {
+            const option = document.createElement('option');
+            option.value = material;
+            option.textContent = material;
+            this.materialSelect.appendChild(option);
+        });
+
+        document.getElementById('editor-add-pig').addEventListener('click', () => this.addPig());
+        document.getElementById('editor-add-block').addEventListener('click', () => this.addObstacle());
+        document.getElementById('editor-delete').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('editor-clear').addEventListener('click', () => this.setLevel(this.emptyLevel()));
+        document.getElementById('editor-test').addEventListener('click', () => this.testPlay());
+        document.getElementById('editor-export').addEventListener('click', () => this.exportLevel());
+        document.getElementById('editor-back').addEventListener('click', () => SceneManager.show('angry'));
+        document.getElementById('open-editor-btn').addEventListener('click', () => SceneManager.show('angry-editor'));
+        document.getElementById('editor-return-btn').addEventListener('click', () => SceneManager.show('angry-editor'));
+
+        const fileInput = document.getElementById('editor-file');
+        document.getElementById('editor-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        this.nameInput.addEventListener('input', () => {
+            this.level.name = this.nameInput.value;
+        });
+        // Either a count of plain birds or a queue like "leli, triple, bomb"
+        this.birdsInput.addEventListener('change', () => {
+            const names = this.birdsInput.value.split(/[\s,]+/).filter(Boolean);
+            const count = Number(names[0]);
+            if (names.length <= 1 && (!names.length || isFinite(count))) {
+                this.level.birds = Math.max(1, Math.round(count) || 1);
+            } else {
+                this.level.birds = names.map(name => name.toLowerCase());
+            }
+            this.refreshPanel();
+        });
+        this.healthInput.addEventListener('change', () => {
+            const ob = this.getSelectedObstacle();
+            if (!ob) return;
+            ob.health = Math.max(1, Number(this.healthInput.value) || 1);
+            this.healthInput.value = ob.health;
+        });
+        this.materialSelect.addEventListener('change', () => {
+            const ob = this.getSelectedObstacle();
+            if (ob) ob.material = this.materialSelect.value;
+        });
+
+        canvas.addEventListener('pointerdown', (e) => this.pointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.pointerMove(e));
+        canvas.addEventListener('pointerup', () => this.pointerUp());
+        canvas.addEventListener('pointerleave', () => this.pointerUp());
+
+        window.addEventListener('keydown', (e) => {
+            if (!SceneManager.isActive('angry-editor')) return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            if (e.code === 'Delete' || e.code === 'Backspace') {
+                this.deleteSelected();
+                e.preventDefault();
+            }
+        });
+    },
+
+    // ---------- Scene hooks ----------
+
+    enter: async function () {
+        if (!this.level) {
+            // Start from a copy of the first stage so there is something to tweak
+            await LevelLoader.loadAll();
+            if (!SceneManager.isActive('angry-editor')) return;
+            const first = LevelLoader.get(0);
+            // Left and opened again while loading: the later enter already chose
+            if (!this.level) this.setLevel(first ? this.copyLevel(first) : this.emptyLevel());
+        }
+        this.panel.classList.remove('hidden');
+        this.refreshPanel();
+        SceneManager.run();
+    },
+
+    exit: function () {
+        this.drag = null;
+    },
+
+    draw: function (dt) {
+        const game = AngryLeliGame;
+        const placed = game.placeLevel(this.level);
+        const origin = game.getLevelOrigin();
+
+        game.drawScenery(ctx, dt);
+        game.drawSlingshot(ctx);
+        game.drawObstacles(ctx, placed.obstacles);
+
+        if (game.imagesLoaded) {
+            game.drawTargets(ctx, placed.pigs);
+        } else {
+            ctx.fillStyle = '#7CFC00';
+            placed.pigs.forEach(pig => {
+                ctx.beginPath();
+                ctx.arc(pig.x, pig.y, pig.r, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        ctx.save();
+
+        // Ground line and sling anchor so placement matches the real game
+        ctx.strokeStyle = 'rgba(0, 255, 0, 0.6)';
+        ctx.setLineDash([8, 6]);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, origin.y);
+        ctx.lineTo(canvas.width, origin.y);
+        ctx.stroke();
+
+        ctx.strokeStyle = 'rgba(255, 105, 180, 0.9)';
+        ctx.beginPath();
+        ctx.arc(game.slingAnchor.x, game.slingAnchor.y, LevelFormat.BIRDS[LevelFormat.DEFAULT_BIRD].radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Selection outline and resize handle
+        const selected = this.getSelectedBounds(placed);
+        if (selected) {
+            ctx.strokeStyle = '#ffff00';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(selected.x - 2, selected.y - 2, selected.w + 4, selected.h + 4);
+            if (this.selected.kind === 'obstacle') {
+                const handle = this.getHandleRect(selected);
+                ctx.fillStyle = '#ffff00';
+                ctx.fillRect(handle.x, handle.y, handle.w, handle.h);
+            }
+        }
+
+        ctx.restore();
+    },
+
+    // ---------- Level data ----------
+
+    emptyLevel: function () {
+        return {
+            version: LevelFormat.VERSION,
+            name: 'My Level',
+            birds: AngryLeliGame.maxBirds,
+            pigs: [{ x: 60, y: -AngryLeliGame.pigRadius }],
+            obstacles: []
+        };
+    },
+
+    copyLevel: function (level) {
+        const copy = JSON.parse(JSON.stringify(level));
+        delete copy.file;
+        return copy;
+    },
+
+    setLevel: function (level) {
+        this.level = level;
+        this.level.obstacles = this.level.obstacles || [];
+        this.selected = null;
+        this.drag = null;
+        this.showErrors([]);
+        this.refreshPanel();
+    },
+
+    getSelectedObstacle: function () {
+        if (!this.selected || this.selected.kind !== 'obstacle') return null;
+        return this.level.obstacles[this.selected.index];
+    },
+
+    addPig: function () {
+        this.level.pigs.push({ x: 0, y: -AngryLeliGame.pigRadius });
+        this.select('pig', this.level.pigs.length - 1);
+    },
+
+    addObstacle: function () {
+        this.level.obstacles.push({ x: -20, y: -80, w: 24, h: 80, health: 4, material: 'wood' });
+        this.select('obstacle', this.level.obstacles.length - 1);
+    },
+
+    deleteSelected: function () {
+        if (!this.selected) return;
+        if (this.selected.kind === 'pig') {
+            // A level needs at least one pig to be valid
+            if (this.level.pigs.length <= 1) return;
+            this.level.pigs.splice(this.selected.index, 1);
+        } else {
+            this.level.obstacles.splice(this.selected.index, 1);
+        }
+        this.select(null);
+    },
+
+    select: function (kind, index) {
+        this.selected = kind ? { kind, index } : null;
+        this.refreshPanel();
+    },
+
+    refreshPanel: function () {
+        if (!this.level) return;
+        this.nameInput.value = this.level.name || '';
+        const birds = this.level.birds || AngryLeliGame.maxBirds;
+        this.birdsInput.value = Array.isArray(birds) ? birds.join(', ') : birds;
+
+        const ob = this.getSelectedObstacle();
+        this.healthInput.disabled = !ob;
+        this.materialSelect.disabled = !ob;
+        this.healthInput.value = ob ? (ob.health || 3) : '';
+        this.materialSelect.value = ob ? (ob.material || 'wood') : 'wood';
+
+        if (!this.selected) {
+            this.selectionInfo.textContent = 'Nothing selected';
+        } else if (this.selected.kind === 'pig') {
+            this.selectionInfo.textContent = `Pig ${this.selected.index + 1}`;
+        } else {
+            this.selectionInfo.textContent = `Block ${this.selected.index + 1} (${ob.w}×${ob.h})`;
+        }
+    },
+
+    // ---------- Pointer editing ----------
+
+    getSelectedBounds: function (placed) {
+        if (!this.selected) return null;
+        if (this.selected.kind === 'pig') {
+            const pig = placed.pigs[this.selected.index];
+            return pig ? { x: pig.x - pig.r, y: pig.y - pig.r, w: pig.r * 2, h: pig.r * 2 } : null;
+        }
+        return placed.obstacles[this.selected.index] || null;
+    },
+
+    getHandleRect: function (ob) {
+        const size = this.HANDLE_SIZE;
+        return { x: ob.x + ob.w - size / 2, y: ob.y + ob.h - size / 2, w: size, h: size };
+    },
+
+    // Topmost item under the point; pigs are drawn over blocks so they win
+    hitTest: function (x, y, placed) {
+        for (let i = placed.pigs.length - 1; i >= 0; i--) {
+            const pig = placed.pigs[i];
+            if (Math.hypot(x - pig.x, y - pig.y) <= pig.r * 1.5) return { kind: 'pig', index: i };
+        }
+        for (let i = placed.obstacles.length - 1; i >= 0; i--) {
+            const ob = placed.obstacles[i];
+            if (x >= ob.x && x <= ob.x + ob.w && y >= ob.y && y <= ob.y + ob.h) {
+                return { kind: 'obstacle', index: i };
+            }
+        }
+        return null;
+    },
+
+    pointerDown: function (e) {
+        // Nothing to grab while the starting level is still loading
+        if (!SceneManager.isActive('angry-editor') || !this.level) return;
+        const pos = AngryLeliGame.getPointer(e);
+        const placed = AngryLeliGame.placeLevel(this.level);
+
+        // Resize handle of the selected block takes priority
+        const selectedOb = this.selected && this.selected.kind === 'obstacle'
+            ? placed.obstacles[this.selected.index] : null;
+        if (selectedOb) {
+            const handle = this.getHandleRect(selectedOb);
+            if (pos.x >= handle.x && pos.x <= handle.x + handle.w && pos.y >= handle.y && pos.y <= handle.y + handle.h) {
+                this.drag = { mode: 'resize' };
+                e.preventDefault();
+                return;
+            }
+        }
+
+        const hit = this.hitTest(pos.x, pos.y, placed);
+        this.select(hit && hit.kind, hit && hit.index);
+        if (hit) {
+            const item = hit.kind === 'pig' ? placed.pigs[hit.index] : placed.obstacles[hit.index];
+            this.drag = { mode: 'move', offsetX: pos.x - item.x, offsetY: pos.y - item.y };
+            e.preventDefault();
+        }
+    },
+
+    pointerMove: function (e) {
+        if (!SceneManager.isActive('angry-editor') || !this.drag || !this.selected) return;
+        const pos = AngryLeliGame.getPointer(e);
+        const origin = AngryLeliGame.getLevelOrigin();
+        const item = this.selected.kind === 'pig'
+            ? this.level.pigs[this.selected.index]
+            : this.level.obstacles[this.selected.index];
+
+        if (this.drag.mode === 'resize') {
+            const left = origin.x + item.x;
+            const top = origin.y + item.y;
+            item.w = Math.max(this.MIN_BLOCK_SIZE, Math.round(pos.x - left));
+            item.h = Math.max(this.MIN_BLOCK_SIZE, Math.round(pos.y - top));
+        } else {
+            item.x = Math.round(pos.x - this.drag.offsetX - origin.x);
+            item.y = Math.round(pos.y - this.drag.offsetY - origin.y);
+        }
+        this.refreshPanel();
+        e.preventDefault();
+    },
+
+    pointerUp: function () {
+        this.drag = null;
+    },
+
+    // ---------- Test, import, export ----------
+
+    showErrors: function (errors) {
+        this.errorBox.textContent = errors.join('\n');
+        this.errorBox.classList.toggle('hidden', errors.length === 0);
+    },
+
+    testPlay: function () {
+        const errors = LevelFormat.validate(this.level);
+        this.showErrors(errors);
+        if (errors.length) return;
+        SceneManager.show('angry', { testLevel: this.copyLevel(this.level) });
+    },
+
+    exportLevel: function () {
+        const errors = LevelFormat.validate(this.level);
+        this.showErrors(errors);
+        if (errors.length) return;
+
+        const blob = new Blob([JSON.stringify(this.level, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const slug = (this.level.name || 'level').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        link.href = url;
+        link.download = `${slug}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    importFile: function (file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let level = null;
+            try {
+                level = JSON.parse(reader.result);
+            } catch (e) {
+                this.showErrors([`${file.name} is not valid JSON`]);
+                return;
+            }
+            const errors = LevelFormat.validate(level);
+            if (errors.length) {
+                this.showErrors(errors.map(error => `${file.name}: ${error}`));
+                return;
+            }
+            this.setLevel(level);
+        };
+        reader.readAsText(file);
+    }
+};
+
+AngryLevelEditor.init();
+SceneManager.register('angry-editor', AngryLevelEditor);
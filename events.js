@@ -0,0 +1,51 @@
+// Game Events - one publish/subscribe bus between game logic and everything
+// that reacts to it (HUD, audio, achievements). Games only describe what
+// happened; they never reach into the DOM score or the sound code themselves.
+// Every payload carries the `game` it came from ('leli', 'flappy' or 'angry').
+
+const GameEvents = {
+    // Known event types and the fields their payloads carry besides `game`
+    TYPES: {
+        score: ['score'], // the running score changed
+        drop: ['type'], // Leli Poop: something left the spawner
+        // Leli Poop payloads also carry `player`: 0, or 1 for player two
+        catch: ['type', 'combo', 'multiplier'], // Leli Poop: poop landed in the toilet
+        miss: ['lives', 'absorbed'], // Leli Poop: poop hit the floor (absorbed by a shield?)
+        hazard: ['lives', 'absorbed'], // Leli Poop: a bomb was caught
+        powerUp: ['type'], // Leli Poop: a power-up was collected
+        wave: ['name'], // Leli Poop: a new wave started
+        flap: [], // Kuh Kayi Flap
+        pipePassed: ['score'],
+        coin: ['coins'], // coins collected this flight
+        biome: ['name'],
+        launch: ['bird'], // Angry Leli: a bird left the sling
+        ability: ['ability'], // Angry Leli: a tap ability fired
+        pigHit: ['score'], // Angry Leli: a pig was knocked out
+        levelCleared: ['stars', 'birdsUsed', 'levelsCleared', 'levelCount'],
+        gameOver: ['score', 'victory', 'medal', 'winner'] // medal only for Kuh Kayi Flap, winner only for two-player Leli Poop
+    },
+
+    listeners: {},
+
+    // Subscribe to one event type. Returns a function that unsubscribes.
+    on: function (type, listener) {
+        if (!this.TYPES[type]) throw new Error(`Unknown game event: ${type}`);
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.off(type, listener);
+    },
+
+    off: function (type, listener) {
+        const list = this.listeners[type];
+        if (!list) return;
+        const index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+    },
+
+    emit: function (type, payload) {
+        if (!this.TYPES[type]) {
+            console.warn(`Ignoring unknown game event: ${type}`);
+            return;
+        }
+        (this.listeners[type] || []).slice().forEach(listener => listener(payload));
+    }
+};
@@ -4,14 +4,18 @@
 const FlappyGame = {
     canvas: null,
     ctx: null,
+    screens: ['flappy-welcome', 'flappy-game-over'],
     isRunning: false,
     score: 0,
-    lastTime: 0,
 
     // Game objects
     bird: null,
     pipes: [],
+    coins: [],
     clouds: [], // Animated clouds
+    nightStars: [], // Cosmetic only, so Math.random is fine
+    coinsCollected: 0,
+    pipesPassed: 0,
 
     // Configuration
     GRAVITY: 800,
@@ -22,6 +26,47 @@ const FlappyGame = {
     PIPE_SPAWN_RATE: 2000,
     pipeTimer: 0,
 
+    // Progression: gaps shrink and scrolling speeds up until RAMP_PIPES pipes
+    // have gone by. Pipes, not score, so coins never change the course and
+    // one seed always flies the same pipes (ghost races rely on it).
+    RAMP_PIPES: 40,
+    MIN_PIPE_GAP: 115,
+    MAX_PIPE_SPEED: 320,
+    MOVING_PIPE_COUNT: 8, // pipes start sliding up and down from here
+    MAX_PIPE_SWING: 70, // px either side of the resting gap
+    COIN_CHANCE: 0.6,
+    COIN_RADIUS: 12,
+
+    // Sky changes every BIOME_SCORE points, cycling back to day
+    BIOME_SCORE: 15,
+    BIOME_FADE: 2, // seconds to blend into the next biome
+    BIOMES: [
+        { name: 'Day', sky: ['#1e90ff', '#87ceeb', '#b0e0e6'], cloud: 'rgba(255, 255, 255, 0.8)', pipe: '#228B22', pipeShadow: '#006400' },
+        { name: 'Sunset', sky: ['#4a1c6b', '#ff6f3c', '#ffc371'], cloud: 'rgba(255, 200, 170, 0.75)', pipe: '#2e7d32', pipeShadow: '#4a1c6b' },
+        { name: 'Night', sky: ['#02030f', '#0b1a3a', '#1c2f5e'], cloud: 'rgba(120, 130, 170, 0.45)', pipe: '#1b5e20', pipeShadow: '#00f3ff', stars: true }
+    ],
+    biomeIndex: 0,
+    previousBiome: 0,
+    biomeFade: 0,
+
+    // Ghost of the personal best. It shares the pipes when this run flies the
+    // same course (a daily challenge it was set on); free play gets new pipes
+    // every run, and the ghost is raced on pace instead.
+    GHOST_KEY: 'chesa-flappy-ghost-v1',
+    GHOST_SAMPLE: 4, // ticks between saved heights
+    GHOST_ALPHA: 0.35,
+    ghost: null, // saved best run raced this run, or null
+    ghostCursor: 0, // ghost points scored so far
+    ghostDiff: null, // last +/- shown next to the score
+    trail: null, // this run's heights and scoring ticks, kept if it beats the ghost
+
+    // Best medal first
+    MEDALS: [
+        { name: 'gold', label: 'Gold', icon: '🥇', score: 50 },
+        { name: 'silver', label: 'Silver', icon: '🥈', score: 25 },
+        { name: 'bronze', label: 'Bronze', icon: '🥉', score: 10 }
+    ],
+
     // Character images
     birdImage: null,
     birdImageLoaded: false,
@@ -42,21 +87,36 @@ const FlappyGame = {
         };
         this.birdImage.src = 'assets/kuhkayi.png';
 
-        // Setup event listeners
-        this.setupControls();
+        Settings.bindCheckbox('flappy-ghost-toggle', 'flappyGhost');
 
         // Initialize clouds
         this.initClouds();
+        this.initNightStars();
+        Settings.onChange(key => {
+            if (key === 'effectsQuality') this.initNightStars();
+        });
+    },
+
+    initNightStars: function () {
+        this.nightStars = [];
+        const count = Math.round(60 * getEffects().stars);
+        for (let i = 0; i < count; i++) {
+            this.nightStars.push({
+                x: Math.random(),
+                y: Math.random() * 0.7,
+                size: Math.random() * 1.5 + 0.5
+            });
+        }
     },
 
     initClouds: function () {
         this.clouds = [];
         for (let i = 0; i < 8; i++) {
             this.clouds.push({
-                x: Math.random() * (this.canvas.width + 200),
-                y: Math.random() * (this.canvas.height * 0.6), // Top 60% of screen
-                size: 30 + Math.random() * 50,
-                speed: 20 + Math.random() * 40 // Different speeds for parallax
+                x: Random.range(0, this.canvas.width + 200),
+                y: Random.range(0, this.canvas.height * 0.6), // Top 60% of screen
+                size: Random.range(30, 80),
+                speed: Random.range(20, 60) // Different speeds for parallax
             });
         }
     },
@@ -71,46 +131,73 @@ const FlappyGame = {
         ctx.fill();
     },
 
-    setupControls: function () {
-        // Space/Click/Tap to flap
-        const flap = (e) => {
-            if (!this.isRunning) return;
+    // Input actions (see input.js): Space/Up, a tap or the gamepad's A
+    actions: {
+        flap: function (pressed) {
+            if (!pressed || !this.acceptsInput()) return false;
+            this.flap();
+            return true;
+        }
+    },
 
-            // Prevent default for space
-            if (e.code === 'Space') e.preventDefault();
+    // Live input only counts during an unpaused, unreplayed run
+    acceptsInput: function () {
+        return this.isRunning && !SceneManager.paused && !Replay.isPlaying();
+    },
 
-            this.bird.velocity = this.FLAP_STRENGTH;
+    flap: function () {
+        Replay.record('f');
+        this.bird.velocity = this.FLAP_STRENGTH;
+        GameEvents.emit('flap', { game: 'flappy' });
+    },
 
-            // Play flap sound
-            if (typeof SoundManager !== 'undefined' && SoundManager.playFlap) {
-                SoundManager.playFlap();
-            }
-        };
+    // Scene hooks (see scenes.js)
+    enter: function () {
+        document.getElementById('flappy-welcome').classList.remove('hidden');
+    },
 
-        document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space') flap(e);
-        });
+    exit: function () {
+        this.stop();
+        document.getElementById('ghost-diff').classList.add('hidden');
+    },
+
+    restart: function () {
+        this.start();
+    },
 
-        this.canvas.addEventListener('click', flap);
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            flap(e);
-        }, { passive: false });
+    startRun: function () {
+        startFlappyGame();
+    },
+
+    applyInput: function (type) {
+        if (type === 'f' && this.isRunning) this.flap();
     },
 
     start: function () {
+        beginRun('flappy');
+        this.ghost = this.pickGhost();
         this.reset();
         this.isRunning = true;
         document.getElementById('score-board').classList.remove('hidden');
-        this.lastTime = performance.now();
-        requestAnimationFrame((t) => this.gameLoop(t));
+        document.getElementById('ghost-diff').classList.toggle('hidden', !this.ghost);
+        this.updateGhostDiff();
+        SceneManager.run();
     },
 
     reset: function () {
         this.score = 0;
+        this.coinsCollected = 0;
+        this.pipesPassed = 0;
+        this.trail = { ys: [], scoreTicks: [] };
+        this.ghostCursor = 0;
+        this.ghostDiff = null;
         this.updateUI();
         this.pipes = [];
+        this.coins = [];
         this.pipeTimer = 0;
+        this.biomeIndex = 0;
+        this.previousBiome = 0;
+        this.biomeFade = 0;
 
         // Reinitialize clouds
         this.initClouds();
@@ -125,24 +212,11 @@ const FlappyGame = {
         };
     },
 
-    gameLoop: function (timestamp) {
-        if (!this.isRunning) return;
-
-        let dt = (timestamp - this.lastTime) / 1000;
-        this.lastTime = timestamp;
-
-        if (isNaN(dt) || dt > 0.1) dt = 0.016;
-
-        this.update(dt);
-        this.draw();
-
-        requestAnimationFrame((t) => this.gameLoop(t));
-    },
-
     update: function (dt) {
         // Update bird
         this.bird.velocity += this.GRAVITY * dt;
         this.bird.y += this.bird.velocity * dt;
+        if (SceneManager.tick % this.GHOST_SAMPLE === 0) this.trail.ys.push(Math.round(this.bird.y));
 
         // Update wing flapping animation
         this.wingFlapTimer += dt * this.wingFlapSpeed;
@@ -157,50 +231,223 @@ const FlappyGame = {
             // Wrap around when off screen
             if (cloud.x + cloud.size < 0) {
                 cloud.x = this.canvas.width + cloud.size;
-                cloud.y = Math.random() * (this.canvas.height * 0.6);
+                cloud.y = Random.range(0, this.canvas.height * 0.6);
             }
         });
 
+        const level = this.getLevel();
+
         // Spawn pipes
         this.pipeTimer += dt * 1000;
-        if (this.pipeTimer > this.PIPE_SPAWN_RATE) {
+        if (this.pipeTimer > level.spawnRate) {
             this.pipeTimer = 0;
-            this.spawnPipe();
+            this.spawnPipe(level);
         }
 
         // Update pipes
         this.pipes.forEach(pipe => {
-            pipe.x -= this.PIPE_SPEED * dt;
+            pipe.x -= level.speed * dt;
+
+            if (pipe.swing) {
+                pipe.phase += pipe.swingSpeed * dt;
+                pipe.gapY = pipe.baseY + Math.sin(pipe.phase) * pipe.swing;
+            }
 
             // Score when passing pipe
             if (!pipe.scored && pipe.x + this.PIPE_WIDTH < this.bird.x) {
                 pipe.scored = true;
-                this.score++;
-                this.updateUI();
-                // Play sound if available
-                if (typeof SoundManager !== 'undefined' && SoundManager.playSplat) {
-                    SoundManager.playSplat();
-                }
+                this.pipesPassed++;
+                this.addScore(1);
+                GameEvents.emit('pipePassed', { game: 'flappy', score: this.score });
             }
         });
 
-        // Remove off-screen pipes
+        this.coins.forEach(coin => {
+            coin.x -= level.speed * dt;
+        });
+
+        // Remove off-screen pipes and coins
         this.pipes = this.pipes.filter(pipe => pipe.x + this.PIPE_WIDTH > 0);
+        this.coins = this.coins.filter(coin => !coin.collected && coin.x + this.COIN_RADIUS > 0);
+
+        this.updateBiome(dt);
+        this.collectCoins();
+        this.updateGhostDiff();
 
         // Check collisions
         this.checkCollisions();
     },
 
-    spawnPipe: function () {
-        const minGapY = 100;
-        const maxGapY = this.canvas.height - 100 - this.PIPE_GAP;
-        const gapY = minGapY + Math.random() * (maxGapY - minGapY);
+    // Current gap, scroll speed and spawn rate for the pipes passed so far
+    getLevel: function () {
+        const t = Math.min(1, this.pipesPassed / this.RAMP_PIPES);
+        const speed = this.PIPE_SPEED + (this.MAX_PIPE_SPEED - this.PIPE_SPEED) * t;
+        return {
+            gap: this.PIPE_GAP - (this.PIPE_GAP - this.MIN_PIPE_GAP) * t,
+            speed: speed,
+            // Keep the distance between pipes the same as they speed up
+            spawnRate: this.PIPE_SPAWN_RATE * this.PIPE_SPEED / speed,
+            swing: this.pipesPassed < this.MOVING_PIPE_COUNT ? 0 : this.MAX_PIPE_SWING * t
+        };
+    },
+
+    spawnPipe: function (level) {
+        // Leave room for the pipe to swing without leaving the screen
+        const swing = level.swing > 0 && Random.next() < 0.5 ? Random.range(level.swing / 2, level.swing) : 0;
+        const minGapY = 100 + swing;
+        const maxGapY = this.canvas.height - 100 - level.gap - swing;
+        const gapY = Random.range(minGapY, Math.max(minGapY, maxGapY));
 
         this.pipes.push({
             x: this.canvas.width,
             gapY: gapY,
+            baseY: gapY,
+            gap: level.gap,
+            swing: swing,
+            swingSpeed: Random.range(1.5, 2.5),
+            phase: 0,
             scored: false
         });
+
+        // Coins float halfway to the next pipe, near this pipe's gap
+        if (Random.next() < this.COIN_CHANCE) {
+            const spacing = level.speed * level.spawnRate / 1000;
+            this.coins.push({
+                x: this.canvas.width + this.PIPE_WIDTH / 2 + spacing / 2,
+                y: gapY + level.gap / 2 + Random.range(-60, 60),
+                collected: false
+            });
+        }
+    },
+
+    addScore: function (points) {
+        this.score += points;
+        for (let i = 0; i < points; i++) this.trail.scoreTicks.push(SceneManager.tick);
+        this.updateUI();
+    },
+
+    // ---------- Ghost ----------
+
+    loadGhost: function () {
+        try {
+            const raw = localStorage.getItem(this.GHOST_KEY);
+            const ghost = raw ? JSON.parse(raw) : null;
+            if (ghost && Array.isArray(ghost.ys) && Array.isArray(ghost.scoreTicks)) return ghost;
+        } catch (e) {
+            console.warn('Could not read the ghost run:', e);
+        }
+        return null;
+    },
+
+    // The best run, if it was flown on the same screen size (heights are in pixels)
+    pickGhost: function () {
+        if (Replay.isPlaying() || !Settings.get('flappyGhost')) return null;
+        const ghost = this.loadGhost();
+        if (!ghost || ghost.w !== this.canvas.width || ghost.h !== this.canvas.height) return null;
+        return ghost;
+    },
+
+    // A run that beats the saved best becomes the new ghost
+    saveGhostIfBest: function () {
+        const best = this.loadGhost();
+        if (this.score === 0 || (best && best.score >= this.score)) return;
+        const ghost = {
+            seed: Random.seed,
+            w: this.canvas.width,
+            h: this.canvas.height,
+            score: this.score,
+            ys: this.trail.ys,
+            scoreTicks: this.trail.scoreTicks
+        };
+        try {
+            localStorage.setItem(this.GHOST_KEY, JSON.stringify(ghost));
+        } catch (e) {
+            console.warn('Could not save the ghost run:', e);
+        }
+    },
+
+    // Points ahead of or behind the ghost at the same moment. Pipes go by at the
+    // same pace on any course, so while both fly it comes down to coins.
+    updateGhostDiff: function () {
+        if (!this.ghost) return;
+        const ticks = this.ghost.scoreTicks;
+        while (this.ghostCursor < ticks.length && ticks[this.ghostCursor] <= SceneManager.tick) {
+            this.ghostCursor++;
+        }
+        const diff = this.score - this.ghostCursor;
+        if (diff === this.ghostDiff) return;
+        this.ghostDiff = diff;
+
+        const label = document.getElementById('ghost-diff');
+        const sign = diff > 0 ? '+' : diff < 0 ? '−' : '±';
+        label.textContent = `${sign}${Math.abs(diff)} vs best`;
+        label.classList.toggle('ahead', diff > 0);
+        label.classList.toggle('behind', diff < 0);
+    },
+
+    // The ghost's height now, between saved samples; null once it has crashed
+    getGhostY: function () {
+        const ys = this.ghost.ys;
+        const at = SceneManager.tick / this.GHOST_SAMPLE;
+        const i = Math.floor(at);
+        if (i >= ys.length - 1) return null;
+        return ys[i] + (ys[i + 1] - ys[i]) * (at - i);
+    },
+
+    drawGhost: function (ctx) {
+        if (!this.ghost) return;
+        const y = this.getGhostY();
+        if (y === null) return;
+        const r = this.bird.width / 2;
+
+        ctx.save();
+        ctx.globalAlpha = this.GHOST_ALPHA;
+        ctx.translate(this.bird.x + r, y + this.bird.height / 2);
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.closePath();
+        ctx.save();
+        ctx.clip();
+        if (this.birdImageLoaded) {
+            ctx.drawImage(this.birdImage, -r, -r, this.bird.width, this.bird.height);
+        } else {
+            ctx.fillStyle = '#ffce8a';
+            ctx.fillRect(-r, -r, this.bird.width, this.bird.height);
+        }
+        ctx.restore();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+    },
+
+    collectCoins: function () {
+        const centerX = this.bird.x + this.bird.width / 2;
+        const centerY = this.bird.y + this.bird.height / 2;
+        const reach = this.bird.width / 2 + this.COIN_RADIUS;
+
+        this.coins.forEach(coin => {
+            if (Math.hypot(coin.x - centerX, coin.y - centerY) > reach) return;
+            coin.collected = true;
+            this.coinsCollected++;
+            this.addScore(1);
+            GameEvents.emit('coin', { game: 'flappy', coins: this.coinsCollected });
+        });
+    },
+
+    updateBiome: function (dt) {
+        this.biomeFade = Math.max(0, this.biomeFade - dt);
+        const next = Math.floor(this.score / this.BIOME_SCORE) % this.BIOMES.length;
+        if (next !== this.biomeIndex) {
+            this.previousBiome = this.biomeIndex;
+            this.biomeIndex = next;
+            this.biomeFade = Settings.get('reducedMotion') ? 0 : this.BIOME_FADE;
+            GameEvents.emit('biome', { game: 'flappy', name: this.BIOMES[next].name });
+        }
+    },
+
+    getMedal: function (score) {
+        return this.MEDALS.find(medal => score >= medal.score) || null;
     },
 
     checkCollisions: function () {
@@ -222,7 +469,7 @@ const FlappyGame = {
             const pipeLeft = pipe.x;
             const pipeRight = pipe.x + this.PIPE_WIDTH;
             const gapTop = pipe.gapY;
-            const gapBottom = pipe.gapY + this.PIPE_GAP;
+            const gapBottom = pipe.gapY + pipe.gap;
 
             // Check if bird circle overlaps with pipes
             // Find closest point on pipe rectangles to bird center
@@ -244,24 +491,22 @@ const FlappyGame = {
     draw: function () {
         const ctx = this.ctx;
 
-        // Draw sky gradient background
-        const gradient = ctx.createLinearGradient(0, 0, 0, this.canvas.height);
-        gradient.addColorStop(0, '#1e90ff');  // Dodger blue at top
-        gradient.addColorStop(0.6, '#87ceeb'); // Sky blue
-        gradient.addColorStop(1, '#b0e0e6');   // Powder blue at bottom
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        const biome = this.BIOMES[this.biomeIndex];
+
+        // Draw the sky, blending in from the previous biome after a change
+        this.drawSky(ctx, this.BIOMES[this.previousBiome], 1);
+        this.drawSky(ctx, biome, 1 - this.biomeFade / this.BIOME_FADE);
 
         // Draw clouds (animated)
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillStyle = biome.cloud;
         this.clouds.forEach(cloud => {
             this.drawCloud(ctx, cloud.x, cloud.y, cloud.size);
         });
 
         // Draw pipes
-        ctx.fillStyle = '#228B22'; // Forest green
+        ctx.fillStyle = biome.pipe;
         ctx.shadowBlur = 5;
-        ctx.shadowColor = '#006400';
+        ctx.shadowColor = biome.pipeShadow;
 
         this.pipes.forEach(pipe => {
             // Top pipe
@@ -270,13 +515,16 @@ const FlappyGame = {
             ctx.fillRect(pipe.x - 3, pipe.gapY - 20, this.PIPE_WIDTH + 6, 20);
 
             // Bottom pipe
-            ctx.fillRect(pipe.x, pipe.gapY + this.PIPE_GAP, this.PIPE_WIDTH, this.canvas.height - pipe.gapY - this.PIPE_GAP);
+            ctx.fillRect(pipe.x, pipe.gapY + pipe.gap, this.PIPE_WIDTH, this.canvas.height - pipe.gapY - pipe.gap);
             // Pipe cap (bottom)
-            ctx.fillRect(pipe.x - 3, pipe.gapY + this.PIPE_GAP, this.PIPE_WIDTH + 6, 20);
+            ctx.fillRect(pipe.x - 3, pipe.gapY + pipe.gap, this.PIPE_WIDTH + 6, 20);
         });
 
         ctx.shadowBlur = 0;
 
+        this.drawCoins(ctx);
+        this.drawGhost(ctx);
+
         // Draw kuhkayi photo masked to a circle with animated wings
         ctx.save();
         ctx.translate(this.bird.x + this.bird.width / 2, this.bird.y + this.bird.height / 2);
@@ -313,6 +561,42 @@ const FlappyGame = {
         ctx.restore();
     },
 
+    drawSky: function (ctx, biome, alpha) {
+        if (alpha <= 0) return;
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        const gradient = ctx.createLinearGradient(0, 0, 0, this.canvas.height);
+        gradient.addColorStop(0, biome.sky[0]);
+        gradient.addColorStop(0.6, biome.sky[1]);
+        gradient.addColorStop(1, biome.sky[2]);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (biome.stars) {
+            ctx.fillStyle = '#ffffff';
+            this.nightStars.forEach(star => {
+                ctx.fillRect(star.x * this.canvas.width, star.y * this.canvas.height, star.size, star.size);
+            });
+        }
+        ctx.restore();
+    },
+
+    drawCoins: function (ctx) {
+        ctx.save();
+        this.coins.forEach(coin => {
+            ctx.beginPath();
+            ctx.arc(coin.x, coin.y, this.COIN_RADIUS, 0, Math.PI * 2);
+            ctx.fillStyle = '#ffd700';
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = '#ffff00';
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#b8860b';
+            ctx.stroke();
+        });
+        ctx.restore();
+    },
+
     // Draw wing flapping animation overlay
     drawWingAnimation: function (ctx) {
         const wingLift = this.showWingUp ? -10 : 10;
@@ -350,27 +634,38 @@ const FlappyGame = {
     },
 
     updateUI: function () {
-        document.getElementById('score').innerText = this.score;
+        GameEvents.emit('score', { game: 'flappy', score: this.score });
     },
 
     gameOver: function () {
-        this.isRunning = false;
+        this.stop();
 
-        // Play game over sound
-        if (typeof SoundManager !== 'undefined' && SoundManager.playGameOver) {
-            SoundManager.playGameOver();
-        }
+        const medal = this.getMedal(this.score);
+        GameEvents.emit('gameOver', { game: 'flappy', score: this.score, victory: false, medal: medal ? medal.name : null });
 
+        document.getElementById('score-board').classList.add('hidden');
+        if (!endRun('flappy', this.score)) return;
+        this.saveGhostIfBest();
+
+        const medalLine = document.getElementById('flappy-medal');
+        medalLine.classList.toggle('hidden', !medal);
+        if (medal) {
+            medalLine.textContent = `${medal.icon} ${medal.label} Medal`;
+            medalLine.dataset.medal = medal.name;
+        }
         document.getElementById('flappy-final-score').innerText = this.score;
+        document.getElementById('flappy-coins').innerText = this.coinsCollected;
         document.getElementById('flappy-game-over').classList.remove('hidden');
-        document.getElementById('score-board').classList.add('hidden');
     },
 
     stop: function () {
         this.isRunning = false;
+        if (SceneManager.isActive('flappy')) SceneManager.halt();
     }
 };
 
+SceneManager.register('flappy', FlappyGame);
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     FlappyGame.init();
@@ -2,14 +2,18 @@ const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
 
 // Game State
-let lastTime = 0;
-let score = 0;
 let isGameOver = false;
-let isGameStarted = false;
-let player, spawner, projectiles;
+let leliMode = 'solo'; // key of LELI_MODES for the current run
+let players = []; // one toilet each
+let spawners = [];
+let projectiles;
 let stars = [];
 let starTick = 0;
 let AngryLeliGame; // Assigned later so resize can safely reference it
+let difficulty; // DIFFICULTY_PRESETS entry for the current run
+let waveIndex = 0;
+let waveBanner = 0; // seconds left on the wave banner
+let powerUps = []; // falling power-ups
 
 // Configuration
 const GRAVITY = 200; // pixels per second squared
@@ -17,6 +21,78 @@ const SPAWN_RATE = 2000; // ms
 const PLAYER_SPEED = 400; // pixels per second
 const SPAWNER_SPEED = 150; // pixels per second
 const STAR_DENSITY = 0.00004; // stars per pixel squared (scaled below)
+const MIN_SPAWN_RATE = 450; // ms, the fastest the spawner will ever drop
+const WAVE_BANNER_TIME = 2; // seconds; no new drops while a wave is announced
+
+// Named waves, each starting once the score reaches `score`. The multipliers
+// apply to SPAWN_RATE, SPAWNER_SPEED and how often projectiles boost.
+// drops: relative weights of each PROJECTILE_TYPES entry in that wave
+const WAVES = [
+    { name: 'Warm Up', score: 0, spawn: 1, speed: 1, boost: 1, drops: { poop: 10, golden: 1 } },
+    { name: 'Steady Stream', score: 10, spawn: 0.8, speed: 1.2, boost: 1.25, drops: { poop: 8, zigzag: 2, golden: 1, bomb: 1 } },
+    { name: 'Rush Hour', score: 25, spawn: 0.65, speed: 1.45, boost: 1.5, drops: { poop: 6, zigzag: 3, golden: 1, bomb: 2, splitter: 1 } },
+    { name: 'Bombardment', score: 45, spawn: 0.52, speed: 1.7, boost: 1.8, drops: { poop: 5, zigzag: 3, golden: 1, bomb: 4, splitter: 2 } },
+    { name: 'Poopocalypse', score: 70, spawn: 0.42, speed: 2, boost: 2.2, drops: { poop: 4, zigzag: 4, golden: 1, bomb: 4, splitter: 3 } }
+];
+
+// Falling object types. Bombs are the only thing you must not catch.
+const PROJECTILE_TYPES = {
+    poop: { icon: '💩', points: 1, size: 30 },
+    zigzag: { icon: '💩', points: 1, size: 30, glow: '#ff00ff' },
+    golden: { icon: '💩', points: 5, size: 36, glow: '#ffd700' },
+    bomb: { icon: '💣', points: 0, size: 32, glow: '#ff0000', harmful: true },
+    splitter: { icon: '💩', points: 1, size: 40, glow: '#00f3ff' }
+};
+const ZIGZAG_SPEED = 220; // px per second sideways
+const ZIGZAG_INTERVAL = 0.4; // seconds between direction changes
+const SPLIT_HEIGHT = 0.45; // splitters break apart at this share of the screen height
+const SPLIT_SPEED = 150; // sideways speed of the two halves
+
+const MAX_LIVES = 3;
+const COMBO_STEP = 5; // every 5 catches in a row adds 1 to the multiplier
+const MAX_MULTIPLIER = 5;
+const POWER_UP_CHANCE = 0.08; // share of drops that are power-ups
+const WIDE_TOILET_SCALE = 1.7;
+const SLOW_MO_SCALE = 0.5; // how fast things fall during slow-motion
+const MAGNET_RANGE = 260; // px either side of the toilet
+const MAGNET_PULL = 240; // px per second
+
+// Timed effects. A shield lasts until it absorbs a miss.
+const POWER_UP_TYPES = {
+    wide: { icon: '↔️', label: 'Wide', color: '#00f3ff', duration: 10 },
+    slow: { icon: '🐌', label: 'Slow-mo', color: '#ffff00', duration: 6 },
+    magnet: { icon: '🧲', label: 'Magnet', color: '#ff00ff', duration: 8 },
+    shield: { icon: '🛡️', label: 'Shield', color: '#00ff00', duration: 0 }
+};
+
+// Leli Poop modes. Two-player runs have no spare lives: the first miss loses.
+const LELI_MODES = {
+    solo: { players: 1, sharedSpawner: true },
+    split: { players: 2, sharedSpawner: false }, // each player keeps to their half under their own spawner
+    versus: { players: 2, sharedSpawner: true } // both toilets fight over one spawner's drops
+};
+
+// Per-player colour and movement actions (see input.js). Tilt and the
+// gamepad always steer player one.
+const LELI_PLAYERS = [
+    { name: 'Player 1', tag: 'P1', color: '#00f3ff', left: 'moveLeft', right: 'moveRight' },
+    { name: 'Player 2', tag: 'P2', color: '#ff00ff', left: 'moveLeft2', right: 'moveRight2' }
+];
+
+// Presets scale every wave; bombs also scales each wave's bomb weight
+const DIFFICULTY_PRESETS = {
+    easy: { spawn: 1.3, speed: 0.8, boost: 0.7, bombs: 0.5 },
+    normal: { spawn: 1, speed: 1, boost: 1, bombs: 1 },
+    hard: { spawn: 0.75, speed: 1.25, boost: 1.4, bombs: 1.5 }
+};
+difficulty = DIFFICULTY_PRESETS.normal;
+
+// Effects quality presets: share of particles and background stars drawn
+const EFFECTS_QUALITY = {
+    high: { particles: 1, stars: 1 },
+    medium: { particles: 0.6, stars: 0.6 },
+    low: { particles: 0.3, stars: 0.3 }
+};
 
 function resize() {
     canvas.width = window.innerWidth;
@@ -25,11 +101,12 @@ function resize() {
     if (AngryLeliGame && AngryLeliGame.onResize) {
         AngryLeliGame.onResize();
     }
-    // Reposition player if they are off screen
-    if (player) {
+    // Reposition players if they are off screen
+    players.forEach(player => {
+        const bounds = sideBounds(player.side);
         player.y = canvas.height - player.height - 10;
-        if (player.x > canvas.width - player.width) player.x = canvas.width - player.width;
-    }
+        if (player.x > bounds.max - player.width) player.x = bounds.max - player.width;
+    });
 }
 window.addEventListener('resize', resize);
 // Some mobile browsers don't fire resize on rotation.
@@ -43,10 +120,31 @@ const ASSETS = {
     projectile: '💩'
 };
 
+function getEffects() {
+    return EFFECTS_QUALITY[Settings.get('effectsQuality')] || EFFECTS_QUALITY.high;
+}
+
+// Reduced motion also stops CSS animations (see style.css)
+function applyMotionSettings() {
+    document.body.classList.toggle('reduced-motion', Settings.get('reducedMotion'));
+}
+applyMotionSettings();
+
+Settings.onChange(key => {
+    if (key === 'effectsQuality') generateStars();
+    if (key === 'reducedMotion') applyMotionSettings();
+});
+
+// Scale a cosmetic particle count by the effects quality
+function effectsCount(count) {
+    return Math.max(1, Math.round(count * getEffects().particles));
+}
+
 // Background stars
 function generateStars() {
     const area = canvas.width * canvas.height;
-    const targetCount = Math.min(250, Math.max(60, Math.floor(area * STAR_DENSITY)));
+    const fullCount = Math.min(250, Math.max(60, Math.floor(area * STAR_DENSITY)));
+    const targetCount = Math.round(fullCount * getEffects().stars);
     stars = [];
     for (let i = 0; i < targetCount; i++) {
         stars.push({
@@ -60,61 +158,101 @@ function generateStars() {
     }
 }
 
-// Input
+// Input (see input.js): held movement actions
 const keys = {
-    ArrowLeft: false,
-    ArrowRight: false
+    moveLeft: false,
+    moveRight: false,
+    moveLeft2: false,
+    moveRight2: false
 };
 
-window.addEventListener('keydown', (e) => {
-    if (keys.hasOwnProperty(e.code)) keys[e.code] = true;
-});
+// Replay codes for the recorded movement
+const KEY_CODES = { moveLeft: 'L', moveRight: 'R', moveLeft2: 'A', moveRight2: 'D' };
+
+// Analog steering (tilt or a gamepad stick) from -1 (full left) to 1 (full
+// right), on top of the keys
+let analogSteer = 0;
+let lastTiltAngle = null; // latest raw reading, used for calibration
+const TILT_DEADZONE = 3; // degrees either side of neutral that do nothing
+const TILT_FULL = 25; // degrees from neutral for full speed
+
+// All live input goes through here so runs can be recorded (and so a replay
+// can't be disturbed by the keyboard)
+function setKey(action, pressed) {
+    if (Replay.isPlaying() || keys[action] === pressed) return;
+    keys[action] = pressed;
+    Replay.record('k', KEY_CODES[action], pressed ? 1 : 0);
+}
 
-window.addEventListener('keyup', (e) => {
-    if (keys.hasOwnProperty(e.code)) keys[e.code] = false;
-});
+// Recorded in hundredths as 't'; 5% steps keep recordings small
+function setSteer(amount) {
+    const value = Math.round(amount * 20) / 20;
+    if (Replay.isPlaying() || analogSteer === value) return;
+    analogSteer = value;
+    Replay.record('t', value * 100);
+}
 
-// Touch Controls
-window.addEventListener('touchstart', (e) => {
-    // e.preventDefault(); // Prevent scrolling/zooming default behavior if needed
-    const touchX = e.touches[0].clientX;
-    const halfWidth = window.innerWidth / 2;
-
-    if (touchX < halfWidth) {
-        keys.ArrowLeft = true;
-        keys.ArrowRight = false;
-    } else {
-        keys.ArrowRight = true;
-        keys.ArrowLeft = false;
-    }
-}, { passive: false });
+// Entities
 
-window.addEventListener('touchend', (e) => {
-    // e.preventDefault();
-    keys.ArrowLeft = false;
-    keys.ArrowRight = false;
-});
+function isTwoPlayer() {
+    return LELI_MODES[leliMode].players > 1;
+}
+
+// Horizontal strip a split-screen side plays in; null is the whole screen
+function sideBounds(side) {
+    if (side === null) return { min: 0, max: canvas.width };
+    const half = canvas.width / 2;
+    return { min: side * half, max: (side + 1) * half };
+}
 
-// Entities
 class Player {
-    constructor() {
-        this.width = 60;
+    constructor(index = 0) {
+        this.index = index;
+        this.color = LELI_PLAYERS[index].color;
+        this.side = LELI_MODES[leliMode].sharedSpawner ? null : index;
+        this.baseWidth = 60;
+        this.width = this.baseWidth;
         this.height = 60;
-        this.x = canvas.width / 2 - this.width / 2;
+        // Versus toilets start a third of the way in from either edge
+        const bounds = sideBounds(this.side);
+        const share = this.side === null && isTwoPlayer() ? (index + 1) / 3 : 0.5;
+        this.x = bounds.min + (bounds.max - bounds.min) * share - this.width / 2;
         this.y = canvas.height - this.height - 10;
+
+        this.score = 0;
+        this.lives = isTwoPlayer() ? 1 : MAX_LIVES;
+        this.combo = 0; // consecutive catches since the last miss
+        this.powerUps = {}; // active power-ups: type -> seconds left (shield: charges)
+    }
+
+    centerX() {
+        return this.x + this.width / 2;
+    }
+
+    // Solo players can use either set of keys
+    steering() {
+        const controls = isTwoPlayer() ? [LELI_PLAYERS[this.index]] : LELI_PLAYERS;
+        const held = direction => controls.some(c => keys[c[direction]]);
+        let steer = (held('right') ? 1 : 0) - (held('left') ? 1 : 0);
+        if (this.index === 0) steer += analogSteer;
+        return Math.max(-1, Math.min(1, steer));
     }
 
     update(dt) {
-        if (keys.ArrowLeft) {
-            this.x -= PLAYER_SPEED * dt;
-        }
-        if (keys.ArrowRight) {
-            this.x += PLAYER_SPEED * dt;
+        // Grow or shrink around the centre for the wide toilet
+        const targetWidth = this.powerUps.wide ? this.baseWidth * WIDE_TOILET_SCALE : this.baseWidth;
+        if (this.width !== targetWidth) {
+            const center = this.centerX();
+            this.width = targetWidth;
+            this.x = center - this.width / 2;
         }
 
+        this.x += this.steering() * PLAYER_SPEED * dt;
+
         // Bounds checking
-        if (this.x < 0) this.x = 0;
-        if (this.x + this.width > canvas.width) this.x = canvas.width - this.width;
+        const bounds = sideBounds(this.side);
+        if (this.x < bounds.min) this.x = bounds.min;
+        if (this.x + this.width > bounds.max) this.x = bounds.max - this.width;
     }
 
     draw(ctx) {
@@ -123,17 +261,29 @@ class Player {
         ctx.textBaseline = 'bottom';
         ctx.fillStyle = '#ffffff';
         ctx.shadowBlur = 10;
-        ctx.shadowColor = '#00f3ff';
-        ctx.fillText(ASSETS.player, this.x + this.width / 2, this.y + this.height);
+        ctx.shadowColor = this.powerUps.shield ? POWER_UP_TYPES.shield.color : this.color;
+        ctx.save();
+        ctx.translate(this.centerX(), this.y + this.height);
+        ctx.scale(this.width / this.baseWidth, 1);
+        ctx.fillText(ASSETS.player, 0, 0);
+        ctx.restore();
+        if (isTwoPlayer()) {
+            ctx.font = 'bold 16px Arial';
+            ctx.fillStyle = this.color;
+            ctx.fillText(LELI_PLAYERS[this.index].tag, this.centerX(), this.y - 4);
+        }
         ctx.shadowBlur = 0;
     }
 }
 
 class Spawner {
-    constructor() {
+    // side: the split-screen half it drops into, or null for the whole screen
+    constructor(side = null) {
+        const bounds = sideBounds(side);
+        this.side = side;
         this.width = 60;
         this.height = 60;
-        this.x = canvas.width / 2;
+        this.x = (bounds.min + bounds.max) / 2;
         this.y = 50;
         this.direction = 1;
         this.timer = 0;
@@ -148,18 +298,27 @@ class Spawner {
     }
 
     update(dt) {
-        this.x += SPAWNER_SPEED * this.direction * dt;
+        const current = getDifficulty();
+        const bounds = sideBounds(this.side);
+        this.x += current.spawnerSpeed * this.direction * dt;
 
         // Bounce off walls
-        if (this.x < 50 || this.x > canvas.width - 50) {
+        if (this.x < bounds.min + 50 || this.x > bounds.max - 50) {
             this.direction *= -1;
         }
 
+        // Take a breather while a new wave is announced
+        if (waveBanner > 0 && waveIndex > 0) return;
+
         // Spawn logic
         this.timer += dt * 1000;
-        if (this.timer > SPAWN_RATE) {
+        if (this.timer > current.spawnRate) {
             this.timer = 0;
-            spawnProjectile(this.x, this.y + 30);
+            if (Random.next() < POWER_UP_CHANCE) {
+                spawnPowerUp(this.x, this.y + 30, this.side);
+            } else {
+                spawnProjectile(this.x, this.y + 30, pickWeighted(current.drops), this.side);
+            }
         }
     }
 
@@ -203,19 +362,34 @@ class Spawner {
 }
 
 class Projectile {
-    constructor(x, y) {
+    constructor(x, y, type = 'poop', side = null) {
         this.x = x;
         this.y = y;
+        this.type = type;
+        this.side = side; // split-screen half it belongs to
+        this.info = PROJECTILE_TYPES[type];
+        this.vx = 0;
         this.vy = 0;
         this.radius = 15;
         this.markedForDeletion = false;
 
+        // Zig-zaggers start in a random direction and flip on a timer
+        this.zigTimer = 0;
+        if (type === 'zigzag') {
+            this.vx = Random.next() < 0.5 ? -ZIGZAG_SPEED : ZIGZAG_SPEED;
+        }
+
         // Random speed boost settings
         this.speedBoostTimer = 0;
-        this.nextBoostTime = 500 + Math.random() * 1000; // Random time between boosts
+        this.nextBoostTime = this.rollBoostTime();
         this.isBoosting = false;
     }
 
+    // Random time between boosts, shorter in later waves
+    rollBoostTime() {
+        return Random.range(500, 1500) / getDifficulty().boost;
+    }
+
     update(dt) {
         this.vy += GRAVITY * dt;
 
@@ -223,37 +397,109 @@ class Projectile {
         this.speedBoostTimer += dt * 1000;
         if (this.speedBoostTimer > this.nextBoostTime && !this.isBoosting) {
             // Apply sudden speed boost!
-            this.vy += 150 + Math.random() * 200; // Add 150-350 extra velocity
+            this.vy += Random.range(150, 350); // Add 150-350 extra velocity
             this.isBoosting = true;
             this.speedBoostTimer = 0;
-            this.nextBoostTime = 500 + Math.random() * 1000;
+            this.nextBoostTime = this.rollBoostTime();
         }
         if (this.isBoosting && this.speedBoostTimer > 100) {
             this.isBoosting = false;
         }
 
+        if (this.type === 'zigzag') {
+            this.zigTimer += dt;
+            if (this.zigTimer > ZIGZAG_INTERVAL) {
+                this.zigTimer = 0;
+                this.vx = -this.vx;
+            }
+        }
+
+        this.x += this.vx * dt;
         this.y += this.vy * dt;
 
+        // Bounce off the side walls (or the split-screen divider)
+        const bounds = sideBounds(this.side);
+        if ((this.x < bounds.min + this.radius && this.vx < 0) || (this.x > bounds.max - this.radius && this.vx > 0)) {
+            this.vx = -this.vx;
+        }
+
+        if (this.type === 'splitter' && this.y > canvas.height * SPLIT_HEIGHT) {
+            this.split();
+        }
+
         if (this.y > canvas.height) {
             this.markedForDeletion = true;
-            triggerGameOver();
+            // Letting a bomb drop is exactly what the player should do
+            if (!this.info.harmful) missProjectile(this);
         }
     }
 
+    // Break into two ordinary poops flying apart
+    split() {
+        this.markedForDeletion = true;
+        [-1, 1].forEach(dir => {
+            const half = new Projectile(this.x, this.y, 'poop', this.side);
+            half.vx = dir * SPLIT_SPEED;
+            half.vy = this.vy;
+            projectiles.push(half);
+        });
+        spawnParticles(this.x, this.y, this.info.glow, 10);
+    }
+
     draw(ctx) {
-        ctx.font = '30px Arial';
+        ctx.font = `${this.info.size}px Arial`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        // Glow effect when boosting
+        // Glow effect when boosting, otherwise the type colour
         if (this.isBoosting) {
             ctx.shadowBlur = 20;
             ctx.shadowColor = '#ff0000';
+        } else if (this.info.glow) {
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = this.info.glow;
         }
-        ctx.fillText(ASSETS.projectile, this.x, this.y);
+        ctx.fillText(this.info.icon, this.x, this.y);
         ctx.shadowBlur = 0;
     }
 }
 
+class PowerUp {
+    constructor(x, y, type, side = null) {
+        this.x = x;
+        this.y = y;
+        this.type = type;
+        this.side = side;
+        this.vy = 120;
+        this.radius = 18;
+        this.markedForDeletion = false;
+    }
+
+    update(dt) {
+        this.y += this.vy * dt;
+        // Missing a power-up costs nothing
+        if (this.y > canvas.height) {
+            this.markedForDeletion = true;
+        }
+    }
+
+    draw(ctx) {
+        const info = POWER_UP_TYPES[this.type];
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.strokeStyle = info.color;
+        ctx.lineWidth = 2;
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = info.color;
+        ctx.stroke();
+        ctx.font = '20px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(info.icon, this.x, this.y);
+        ctx.restore();
+    }
+}
+
 // Particle System
 class Particle {
     constructor(x, y, color) {
@@ -266,8 +512,9 @@ class Particle {
         this.life = 1.0;
     }
     update(dt) {
-        this.x += this.speedX;
-        this.y += this.speedY;
+        // Speeds are tuned in pixels per 60fps frame
+        this.x += this.speedX * 60 * dt;
+        this.y += this.speedY * 60 * dt;
         this.life -= 2.0 * dt;
     }
     draw(ctx) {
@@ -281,8 +528,8 @@ class Particle {
 }
 
 // Game Objects
-player = new Player();
-spawner = new Spawner();
+players = [new Player()];
+spawners = [new Spawner()];
 projectiles = [];
 let particles = [];
 
@@ -303,6 +550,7 @@ function initAudioContext() {
     try {
         audioCtx = new AudioContext();
         console.log('AudioContext created, state:', audioCtx.state);
+        Mixer.connect(audioCtx);
         audioUnlocked = audioCtx.state === 'running';
         audioCtx.onstatechange = () => {
             if (audioCtx.state === 'running') {
@@ -315,6 +563,15 @@ function initAudioContext() {
     return audioCtx;
 }
 
+// Buses of the mixer (mixer.js)
+function sfxOutput() {
+    return Mixer.sfx || audioCtx.destination;
+}
+
+function musicOutput() {
+    return Mixer.music || audioCtx.destination;
+}
+
 // For non-iOS, create context immediately
 if (!isIOS) {
     initAudioContext();
@@ -354,6 +611,8 @@ function forceUnlockAudio() {
 
 // Unlock/resume audio - call this on user interaction
 function unlockAudio() {
+    // Stay suspended while a game is paused
+    if (SceneManager.paused) return;
     forceUnlockAudio();
     ensureAudioReady();
 }
@@ -420,6 +679,11 @@ async function ensureAudioReady() {
     return audioReadyPromise;
 }
 
+// Plays a sound through the mixer: its recorded sample if one loaded, else synth()
+function playSound(name, synth) {
+    withAudioReady(() => Mixer.play(name, synth));
+}
+
 function withAudioReady(callback) {
     ensureAudioReady().then(ready => {
         if (!ready) return;
@@ -438,7 +702,7 @@ const SoundManager = {
     },
 
     playPoop: function () {
-        withAudioReady(() => {
+        playSound('poop', () => {
             const osc = audioCtx.createOscillator();
             const gainNode = audioCtx.createGain();
 
@@ -450,7 +714,7 @@ const SoundManager = {
             gainNode.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 0.5);
 
             osc.connect(gainNode);
-            gainNode.connect(audioCtx.destination);
+            gainNode.connect(sfxOutput());
 
             osc.start();
             osc.stop(audioCtx.currentTime + 0.5);
@@ -458,7 +722,7 @@ const SoundManager = {
     },
 
     playSplat: function () {
-        withAudioReady(() => {
+        playSound('splat', () => {
             const osc = audioCtx.createOscillator();
             const gainNode = audioCtx.createGain();
 
@@ -470,15 +734,103 @@ const SoundManager = {
             gainNode.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 0.2);
 
             osc.connect(gainNode);
-            gainNode.connect(audioCtx.destination);
+            gainNode.connect(sfxOutput());
 
             osc.start();
             osc.stop(audioCtx.currentTime + 0.2);
         });
     },
 
+    playBoom: function () {
+        playSound('boom', () => {
+            const osc = audioCtx.createOscillator();
+            const gainNode = audioCtx.createGain();
+
+            // Low rumbling drop for explosions
+            osc.frequency.setValueAtTime(120, audioCtx.currentTime);
+            osc.frequency.exponentialRampToValueAtTime(30, audioCtx.currentTime + 0.6);
+            osc.type = 'square';
+
+            gainNode.gain.setValueAtTime(0.6, audioCtx.currentTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 0.6);
+
+            osc.connect(gainNode);
+            gainNode.connect(sfxOutput());
+
+            osc.start();
+            osc.stop(audioCtx.currentTime + 0.6);
+        });
+    },
+
+    playMiss: function () {
+        playSound('miss', () => {
+            const osc = audioCtx.createOscillator();
+            const gainNode = audioCtx.createGain();
+
+            // Short falling buzz when a toilet roll is lost
+            osc.frequency.setValueAtTime(220, audioCtx.currentTime);
+            osc.frequency.exponentialRampToValueAtTime(80, audioCtx.currentTime + 0.3);
+            osc.type = 'sawtooth';
+
+            gainNode.gain.setValueAtTime(0.4, audioCtx.currentTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 0.3);
+
+            osc.connect(gainNode);
+            gainNode.connect(sfxOutput());
+
+            osc.start();
+            osc.stop(audioCtx.currentTime + 0.3);
+        });
+    },
+
+    playCoin: function () {
+        playSound('coin', () => {
+            const now = audioCtx.currentTime;
+            const osc = audioCtx.createOscillator();
+            const gainNode = audioCtx.createGain();
+
+            // Two-note chime
+            osc.type = 'square';
+            osc.frequency.setValueAtTime(987.77, now);
+            osc.frequency.setValueAtTime(1318.51, now + 0.07);
+
+            gainNode.gain.setValueAtTime(0.15, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.25);
+
+            osc.connect(gainNode);
+            gainNode.connect(sfxOutput());
+
+            osc.start();
+            osc.stop(now + 0.25);
+        });
+    },
+
+    playPowerUp: function () {
+        playSound('powerUp', () => {
+            const now = audioCtx.currentTime;
+
+            // Quick rising arpeggio
+            [523.25, 659.25, 783.99].forEach((freq, i) => {
+                const osc = audioCtx.createOscillator();
+                const gainNode = audioCtx.createGain();
+
+                osc.type = 'square';
+                osc.frequency.setValueAtTime(freq, now + i * 0.06);
+
+                gainNode.gain.setValueAtTime(0.15, now + i * 0.06);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, now + i * 0.06 + 0.08);
+
+                osc.connect(gainNode);
+                gainNode.connect(sfxOutput());
+
+                osc.start(now + i * 0.06);
+                osc.stop(now + i * 0.06 + 0.08);
+            });
+        });
+    },
+
     playFlap: function () {
-        withAudioReady(() => {
+        playSound('flap', () => {
             const osc = audioCtx.createOscillator();
             const gainNode = audioCtx.createGain();
 
@@ -491,7 +843,7 @@ const SoundManager = {
             gainNode.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 0.1);
 
             osc.connect(gainNode);
-            gainNode.connect(audioCtx.destination);
+            gainNode.connect(sfxOutput());
 
             osc.start();
             osc.stop(audioCtx.currentTime + 0.1);
@@ -499,7 +851,7 @@ const SoundManager = {
     },
 
     playGameOver: function () {
-        withAudioReady(() => {
+        playSound('gameOver', () => {
             const now = audioCtx.currentTime;
 
             [
@@ -522,7 +874,7 @@ const SoundManager = {
                 gainNode.gain.exponentialRampToValueAtTime(0.01, now + note.time + note.dur);
 
                 osc.connect(gainNode);
-                gainNode.connect(audioCtx.destination);
+                gainNode.connect(sfxOutput());
 
                 osc.start(now + note.time);
                 osc.stop(now + note.time + note.dur);
@@ -531,110 +883,547 @@ const SoundManager = {
     }
 };
 
-function spawnProjectile(x, y) {
-    projectiles.push(new Projectile(x, y));
-    SoundManager.playPoop(); // Play sound on spawn
+// Sound effects follow game events rather than being called from game code
+GameEvents.on('drop', () => SoundManager.playPoop());
+GameEvents.on('catch', () => SoundManager.playSplat());
+GameEvents.on('powerUp', () => SoundManager.playPowerUp());
+GameEvents.on('miss', e => {
+    if (e.absorbed) {
+        SoundManager.playSplat();
+    } else if (e.lives > 0) {
+        SoundManager.playMiss(); // the last life gets the game over tune instead
+    }
+});
+GameEvents.on('hazard', () => SoundManager.playBoom());
+GameEvents.on('flap', () => SoundManager.playFlap());
+GameEvents.on('pipePassed', () => SoundManager.playSplat());
+GameEvents.on('coin', () => SoundManager.playCoin());
+GameEvents.on('launch', () => SoundManager.playPoop());
+GameEvents.on('ability', e => {
+    if (e.ability === 'dash') SoundManager.playPoop();
+    if (e.ability === 'bomb') SoundManager.playBoom();
+});
+GameEvents.on('pigHit', () => SoundManager.playSplat());
+GameEvents.on('gameOver', e => {
+    // Angry Leli has its own level clear / fail screen and stays quiet
+    if (e.game !== 'angry') SoundManager.playGameOver();
+});
+
+// Current spawn interval (ms), spawner speed and boost frequency. Past the
+// last wave things keep getting slowly harder, up to double.
+function getDifficulty() {
+    const wave = WAVES[waveIndex];
+    const overtime = waveIndex === WAVES.length - 1 ? Math.min(1, (leadingScore() - wave.score) * 0.01) : 0;
+    const drops = { ...wave.drops };
+    if (drops.bomb) drops.bomb *= difficulty.bombs;
+    return {
+        spawnRate: Math.max(MIN_SPAWN_RATE, SPAWN_RATE * wave.spawn * difficulty.spawn / (1 + overtime)),
+        spawnerSpeed: SPAWNER_SPEED * wave.speed * difficulty.speed * (1 + overtime / 2),
+        boost: wave.boost * difficulty.boost * (1 + overtime),
+        drops: drops
+    };
+}
+
+// Waves follow whoever is ahead
+function leadingScore() {
+    return Math.max(...players.map(player => player.score));
+}
+
+function updateWave(dt) {
+    waveBanner = Math.max(0, waveBanner - dt);
+    const next = WAVES[waveIndex + 1];
+    if (next && leadingScore() >= next.score) {
+        waveIndex++;
+        waveBanner = WAVE_BANNER_TIME;
+        GameEvents.emit('wave', { game: 'leli', name: next.name });
+    }
+}
+
+function drawWaveBanner(ctx) {
+    if (waveBanner <= 0) return;
+    const wave = WAVES[waveIndex];
+    // Fade in and out over the first and last half second
+    const alpha = Math.min(1, waveBanner / 0.5, (WAVE_BANNER_TIME - waveBanner) / 0.5 + 0.2);
+
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, alpha);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = '#ff00ff';
+    ctx.fillStyle = '#ffff00';
+    ctx.font = 'bold 24px Arial';
+    ctx.fillText(`WAVE ${waveIndex + 1}`, canvas.width / 2, canvas.height / 2 - 30);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 40px Arial';
+    ctx.fillText(wave.name.toUpperCase(), canvas.width / 2, canvas.height / 2 + 10);
+    ctx.restore();
+}
+
+function spawnProjectile(x, y, type, side = null) {
+    projectiles.push(new Projectile(x, y, type, side));
+    GameEvents.emit('drop', { game: 'leli', type: type });
+}
+
+// Pick a key from a { key: weight } table using the seeded generator
+function pickWeighted(weights) {
+    const keys = Object.keys(weights);
+    const total = keys.reduce((sum, key) => sum + weights[key], 0);
+    let roll = Random.range(0, total);
+    for (const key of keys) {
+        roll -= weights[key];
+        if (roll < 0) return key;
+    }
+    return keys[keys.length - 1];
+}
+
+function spawnPowerUp(x, y, side = null) {
+    const types = Object.keys(POWER_UP_TYPES);
+    powerUps.push(new PowerUp(x, y, types[Random.int(0, types.length - 1)], side));
+}
+
+function activatePowerUp(player, type) {
+    const info = POWER_UP_TYPES[type];
+    player.powerUps[type] = info.duration || 1;
+    GameEvents.emit('powerUp', { game: 'leli', player: player.index, type: type });
+}
+
+// Count down the timed effects; the shield has no timer
+function updatePowerUps(dt) {
+    players.forEach(player => {
+        Object.keys(player.powerUps).forEach(type => {
+            if (!POWER_UP_TYPES[type].duration) return;
+            player.powerUps[type] -= dt;
+            if (player.powerUps[type] <= 0) delete player.powerUps[type];
+        });
+    });
+}
+
+// Slow-motion only slows the side of the player who caught it
+function isSlowed(side) {
+    return players.some(player => player.powerUps.slow && player.side === side);
+}
+
+// Drag falling poop sideways towards the toilet
+function applyMagnet(dt) {
+    players.forEach(player => {
+        if (!player.powerUps.magnet) return;
+        const center = player.centerX();
+        projectiles.forEach(p => {
+            if (p.info.harmful || p.side !== player.side) return;
+            const dx = center - p.x;
+            if (Math.abs(dx) > MAGNET_RANGE || p.y < canvas.height / 3) return;
+            p.x += Math.sign(dx) * Math.min(Math.abs(dx), MAGNET_PULL * dt);
+        });
+    });
+}
+
+function comboMultiplier(player) {
+    return Math.min(MAX_MULTIPLIER, 1 + Math.floor(player.combo / COMBO_STEP));
+}
+
+// Split-screen drops belong to their side; otherwise the nearest toilet let it fall
+function playerForDrop(p) {
+    if (p.side !== null) return players[p.side];
+    return players.reduce((nearest, player) => {
+        return Math.abs(player.centerX() - p.x) < Math.abs(nearest.centerX() - p.x) ? player : nearest;
+    });
+}
+
+function missProjectile(p) {
+    const player = playerForDrop(p);
+    player.combo = 0;
+    const absorbed = loseLife(player, p.x, canvas.height - 20);
+    GameEvents.emit('miss', { game: 'leli', player: player.index, lives: player.lives, absorbed: absorbed });
+    if (player.lives <= 0) triggerGameOver(player, 'let one drop');
+}
+
+function catchBomb(player, p) {
+    player.combo = 0;
+    const absorbed = loseLife(player, p.x, p.y);
+    GameEvents.emit('hazard', { game: 'leli', player: player.index, lives: player.lives, absorbed: absorbed });
+    if (player.lives <= 0) triggerGameOver(player, 'caught a bomb');
+}
+
+// A shield soaks up the hit instead of a toilet roll. Returns true if it did.
+function loseLife(player, x, y) {
+    if (player.powerUps.shield) {
+        delete player.powerUps.shield;
+        spawnParticles(x, y, POWER_UP_TYPES.shield.color, 20);
+        return true;
+    }
+    player.lives--;
+    spawnParticles(x, y, '#ff0000', 20);
+    return false;
 }
 
 function spawnParticles(x, y, color, count = 10) {
+    count = effectsCount(count);
     for (let i = 0; i < count; i++) {
         particles.push(new Particle(x, y, color));
     }
 }
 
+function isInToilet(item, player) {
+    return item.y + 15 > player.y &&
+        item.y - 15 < player.y + player.height &&
+        item.x > player.x &&
+        item.x < player.x + player.width;
+}
+
 function checkCollisions() {
-    projectiles.forEach(p => {
-        if (
-            p.y + 15 > player.y &&
-            p.y - 15 < player.y + player.height &&
-            p.x > player.x &&
-            p.x < player.x + player.width
-        ) {
-            p.markedForDeletion = true;
-            score++;
-            spawnParticles(p.x, p.y, '#00ff00', 15);
-            SoundManager.playSplat(); // Play sound on catch
-            updateUI();
+    players.forEach(player => {
+        projectiles.forEach(p => {
+            if (!p.markedForDeletion && isInToilet(p, player)) {
+                p.markedForDeletion = true;
+                if (p.info.harmful) {
+                    catchBomb(player, p);
+                    return;
+                }
+                player.combo++;
+                player.score += p.info.points * comboMultiplier(player);
+                spawnParticles(p.x, p.y, p.info.glow || '#00ff00', 15);
+                GameEvents.emit('catch', { game: 'leli', player: player.index, type: p.type, combo: player.combo, multiplier: comboMultiplier(player) });
+                updateUI();
+            }
+        });
+        powerUps.forEach(p => {
+            if (!p.markedForDeletion && isInToilet(p, player)) {
+                p.markedForDeletion = true;
+                activatePowerUp(player, p.type);
+                spawnParticles(p.x, p.y, POWER_UP_TYPES[p.type].color, 15);
+            }
+        });
+    });
+}
+
+// Lives, combo and power-up timers drawn over the canvas. In two-player runs
+// each player gets a column (P1 left, P2 right) headed by their score.
+function drawLeliHud(ctx) {
+    ctx.save();
+    ctx.textBaseline = 'middle';
+    players.forEach(player => {
+        const onLeft = player.index === 0;
+        const x = onLeft ? 20 : canvas.width - 20;
+        let y = 120;
+        ctx.textAlign = onLeft ? 'left' : 'right';
+
+        if (isTwoPlayer()) {
+            ctx.font = 'bold 28px Arial';
+            ctx.fillStyle = player.color;
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = player.color;
+            ctx.fillText(`${LELI_PLAYERS[player.index].tag}  ${player.score}`, x, 40);
+            ctx.shadowBlur = 0;
+            y = 80;
+        } else {
+            // Toilet rolls under the score
+            ctx.font = '26px Arial';
+            for (let i = 0; i < MAX_LIVES; i++) {
+                ctx.globalAlpha = i < player.lives ? 1 : 0.2;
+                ctx.fillText('🧻', x + i * 34, 85);
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        if (comboMultiplier(player) > 1) {
+            ctx.font = 'bold 20px Arial';
+            ctx.fillStyle = '#ffff00';
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = '#ff00ff';
+            ctx.fillText(`x${comboMultiplier(player)} COMBO (${player.combo})`, x, y);
+            ctx.shadowBlur = 0;
+        }
+
+        // Solo badges sit top right, two-player ones under the combo
+        const badgeX = onLeft && isTwoPlayer() ? 20 : canvas.width - 150;
+        drawPowerUpBadges(ctx, player, badgeX, isTwoPlayer() ? 130 : 80);
+    });
+    ctx.restore();
+}
+
+// One badge per active power-up with a draining timer bar
+function drawPowerUpBadges(ctx, player, x, y) {
+    ctx.textAlign = 'left';
+    Object.keys(POWER_UP_TYPES).forEach(type => {
+        if (!player.powerUps[type]) return;
+        const info = POWER_UP_TYPES[type];
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(x, y - 16, 130, 32);
+        ctx.strokeStyle = info.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y - 16, 130, 32);
+        ctx.font = '18px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`${info.icon} ${info.label}`, x + 8, y - 2);
+        if (info.duration) {
+            ctx.fillStyle = info.color;
+            ctx.fillRect(x + 8, y + 9, 114 * player.powerUps[type] / info.duration, 3);
         }
+        y += 40;
     });
 }
 
+// The split-screen divider
+function drawSplitLine(ctx) {
+    if (LELI_MODES[leliMode].sharedSpawner) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([12, 10]);
+    ctx.beginPath();
+    ctx.moveTo(canvas.width / 2, 0);
+    ctx.lineTo(canvas.width / 2, canvas.height);
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Two-player scores are drawn on the canvas instead (drawLeliHud)
 function updateUI() {
-    document.getElementById('score').innerText = score;
+    if (isTwoPlayer()) return;
+    GameEvents.emit('score', { game: 'leli', score: players[0].score });
 }
 
-function triggerGameOver() {
+// The shared score board follows whichever game is running
+GameEvents.on('score', e => {
+    document.getElementById('score').innerText = e.score;
+});
+
+// loser and reason ('let one drop', 'caught a bomb') only matter in two-player runs
+function triggerGameOver(loser, reason) {
+    if (isGameOver) return;
     isGameOver = true;
-    SoundManager.playGameOver(); // Play retro game over tune
+    SceneManager.halt();
+    if (isTwoPlayer()) {
+        showLeliResults(loser, reason);
+        return;
+    }
+    const score = players[0].score;
+    GameEvents.emit('gameOver', { game: 'leli', score: score, victory: false });
+    if (!endRun('leli', score)) return;
     document.getElementById('final-score').innerText = score;
     document.getElementById('game-over').classList.remove('hidden');
 }
 
+// Two-player runs name a winner and stay off the leaderboard
+function showLeliResults(loser, reason) {
+    if (!loser) loser = players.reduce((lowest, player) => player.score < lowest.score ? player : lowest);
+    const winner = players.find(player => player !== loser);
+    GameEvents.emit('gameOver', { game: 'leli', score: winner.score, victory: false, winner: winner.index });
+    if (Replay.isPlaying()) {
+        Replay.finishPlayback();
+        return;
+    }
+    Replay.finishRun(winner.score);
+
+    const winnerInfo = LELI_PLAYERS[winner.index];
+    const title = document.getElementById('leli-winner');
+    title.textContent = `${winnerInfo.name} wins!`;
+    title.style.color = winnerInfo.color;
+    document.getElementById('leli-result-reason').textContent = reason ? `${LELI_PLAYERS[loser.index].name} ${reason}.` : '';
+    players.forEach(player => {
+        document.getElementById(`leli-p${player.index + 1}-score`).textContent = player.score;
+    });
+    document.getElementById('leli-results').classList.remove('hidden');
+}
+
 // Game Flow Control
 async function startGame() {
     // Unlock AudioContext for Mobile (must be in user interaction)
     await ensureAudioReady();
+    if (!SceneManager.isActive('leli')) return;
 
-    isGameStarted = true;
+    isGameOver = false;
+    beginLeliRun();
+    resetLeliWorld();
     document.getElementById('welcome-screen').classList.add('hidden');
-    document.getElementById('score-board').classList.remove('hidden');
+    document.getElementById('tilt-calibration').classList.add('hidden');
+    document.getElementById('score-board').classList.toggle('hidden', isTwoPlayer());
+    SceneManager.run();
+}
+
+// Tilt players grant sensor access (iOS) and set their neutral angle first
+function onStartPressed() {
+    useSchemeForRun(null);
+    if (Settings.get('controlScheme') !== 'tilt') {
+        startGame();
+        return;
+    }
+    // Ask before anything else async so iOS still counts it as part of the tap
+    requestTiltPermission().then(granted => {
+        if (granted) {
+            showTiltCalibration();
+            return;
+        }
+        // Only this run: the saved choice stays tilt, so the next start asks again
+        useSchemeForRun('touch');
+        document.getElementById('tilt-denied').classList.remove('hidden');
+        startGame();
+    });
+}
 
-    // Request Device Orientation Permission (iOS 13+)
-    if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
-        // This is where the actual permission request logic would go.
-        // For example:
-        // DeviceOrientationEvent.requestPermission()
-        //   .then(response => {
-        //     if (response === 'granted') {
-        //       window.addEventListener('deviceorientation', handleTilt);
-        //     } else {
-        //       console.log('Device orientation permission not granted');
-        //     }
-        //   })
-        //   .catch(console.error);
+// iOS 13+ only delivers orientation events once the player allows it, and
+// the request has to come straight from a tap
+function requestTiltPermission() {
+    if (typeof DeviceOrientationEvent === 'undefined' || typeof DeviceOrientationEvent.requestPermission !== 'function') {
+        return Promise.resolve(true);
     }
-    lastTime = performance.now();
-    requestAnimationFrame(gameLoop);
+    return DeviceOrientationEvent.requestPermission()
+        .then(response => response === 'granted')
+        .catch(e => {
+            console.warn('Tilt permission request failed:', e);
+            return false;
+        });
+}
+
+function showTiltCalibration() {
+    document.getElementById('welcome-screen').classList.add('hidden');
+    document.getElementById('tilt-calibration').classList.remove('hidden');
+    updateTiltMeter();
+}
+
+// Live reading so the player can see the sensor is working
+function updateTiltMeter() {
+    const known = lastTiltAngle !== null;
+    document.getElementById('tilt-angle').textContent = known ? Math.round(lastTiltAngle) : '--';
+    const offset = known ? Math.max(-1, Math.min(1, lastTiltAngle / 45)) : 0;
+    document.getElementById('tilt-meter-dot').style.left = `${50 + offset * 50}%`;
+}
+
+function calibrateTilt() {
+    Settings.set('tiltNeutral', lastTiltAngle === null ? 0 : lastTiltAngle);
+    setSteer(0); // the current angle is now level
+    startGame();
 }
 
 async function resetGame() {
     await ensureAudioReady(); // Ensure audio stays unlocked on restart
+    if (!SceneManager.isActive('leli')) return;
     isGameOver = false;
-    score = 0;
-    updateUI();
+    beginLeliRun();
+    resetLeliWorld();
+    document.getElementById('game-over').classList.add('hidden');
+    document.getElementById('leli-results').classList.add('hidden');
+    document.getElementById('score-board').classList.toggle('hidden', isTwoPlayer());
+    SceneManager.run();
+}
+
+// Every run (and replay) starts from the same fresh world
+function resetLeliWorld() {
+    waveIndex = 0;
+    waveBanner = WAVE_BANNER_TIME;
     projectiles = [];
+    powerUps = [];
     particles = [];
-    player = new Player();
-    spawner = new Spawner();
-    document.getElementById('game-over').classList.add('hidden');
-    lastTime = performance.now();
-    requestAnimationFrame(gameLoop);
+    players = [];
+    for (let i = 0; i < LELI_MODES[leliMode].players; i++) players.push(new Player(i));
+    // Split-screen players get a spawner over each half
+    spawners = LELI_MODES[leliMode].sharedSpawner ? [new Spawner()] : players.map(player => new Spawner(player.side));
+    updateUI();
+}
+
+// Daily challenge runs share one seed per game per day; otherwise every run is fresh
+function pickSeed(game) {
+    const daily = document.getElementById(`${game}-daily`);
+    return daily && daily.checked ? Random.dailySeed(game) : Random.freshSeed();
+}
+
+// Seed the RNG and start capturing inputs for a new run (or restart a replay)
+function beginRun(game, details) {
+    const seed = Replay.isPlaying() ? Replay.playing.seed : pickSeed(game);
+    Random.setSeed(seed);
+    SceneManager.resetClock();
+    Replay.beginRun(game, seed, details);
+}
+
+function beginLeliRun() {
+    const preset = Replay.isPlaying() ? Replay.playing.difficulty : Settings.get('leliDifficulty');
+    difficulty = DIFFICULTY_PRESETS[preset] || DIFFICULTY_PRESETS.normal;
+    // Replays from before two-player mode have no mode
+    const mode = Replay.isPlaying() ? Replay.playing.mode : Settings.get('leliMode');
+    leliMode = LELI_MODES[mode] ? mode : 'solo';
+    beginRun('leli', { difficulty: preset, mode: leliMode });
+    if (Replay.isPlaying()) {
+        Object.keys(keys).forEach(action => {
+            keys[action] = false;
+        });
+        analogSteer = 0;
+        return;
+    }
+    // Keys already held when the run starts are part of the recording
+    Object.keys(keys).forEach(action => {
+        if (keys[action]) Replay.record('k', KEY_CODES[action], 1);
+    });
+    if (analogSteer) Replay.record('t', analogSteer * 100);
 }
 
+// Left/right tilt in degrees for the way the screen is currently turned
+function readTiltAngle(e) {
+    if (e.gamma === null || e.beta === null) return null;
+    const orientation = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+    if (orientation === 90) return e.beta;
+    if (orientation === 270 || orientation === -90) return -e.beta;
+    if (orientation === 180) return -e.gamma;
+    return e.gamma;
+}
+
+// Speed grows with the angle away from the calibrated neutral position
 function handleTilt(e) {
-    const tilt = e.gamma; // Left/Right tilt in degrees (-90 to 90)
-
-    // Deadzone of +/- 5 degrees
-    if (tilt < -5) {
-        keys.ArrowLeft = true;
-        keys.ArrowRight = false;
-    } else if (tilt > 5) {
-        keys.ArrowRight = true;
-        keys.ArrowLeft = false;
-    } else {
-        keys.ArrowLeft = false;
-        keys.ArrowRight = false;
+    const angle = readTiltAngle(e);
+    if (angle === null) return;
+    lastTiltAngle = angle;
+    if (!document.getElementById('tilt-calibration').classList.contains('hidden')) updateTiltMeter();
+    if (!SceneManager.isActive('leli')) return;
+
+    const offset = angle - Settings.get('tiltNeutral');
+    const amount = Math.min(1, Math.max(0, (Math.abs(offset) - TILT_DEADZONE) / (TILT_FULL - TILT_DEADZONE)));
+    setSteer(Math.sign(offset) * amount);
+}
+
+// Tilt steering is only listened for while it is the control scheme in use
+function applyControlScheme() {
+    window.removeEventListener('deviceorientation', handleTilt);
+    if (Input.controlScheme() === 'tilt') {
+        window.addEventListener('deviceorientation', handleTilt);
     }
 }
 
-document.getElementById('start-btn').addEventListener('click', startGame);
+// Don't leave the toilet sliding on a direction the old scheme was holding
+function switchControlScheme() {
+    Object.keys(keys).forEach(action => setKey(action, false));
+    setSteer(0);
+    applyControlScheme();
+}
+
+// Swap the scheme without touching the saved setting; null goes back to it
+function useSchemeForRun(scheme) {
+    if (Input.schemeOverride === scheme) return;
+    Input.schemeOverride = scheme;
+    if (!scheme) document.getElementById('tilt-denied').classList.add('hidden');
+    switchControlScheme();
+}
+applyControlScheme();
+Settings.onChange(key => {
+    if (key !== 'controlScheme') return;
+    Input.schemeOverride = null;
+    document.getElementById('tilt-denied').classList.add('hidden');
+    switchControlScheme();
+});
+
+document.getElementById('start-btn').addEventListener('click', onStartPressed);
+document.getElementById('tilt-ready-btn').addEventListener('click', calibrateTilt);
+document.getElementById('tilt-cancel-btn').addEventListener('click', () => {
+    document.getElementById('tilt-calibration').classList.add('hidden');
+    document.getElementById('welcome-screen').classList.remove('hidden');
+});
 document.getElementById('restart-btn').addEventListener('click', resetGame);
+document.getElementById('rematch-btn').addEventListener('click', resetGame);
+document.getElementById('leli-results-replay-btn').addEventListener('click', () => Replay.play(Replay.lastRuns.leli));
 
 // =====================================
 // MENU NAVIGATION
 // =====================================
 
-let currentGame = null; // 'leli', 'flappy', or 'angry'
 let orientationBlocked = false;
 let pendingAngryStart = false;
 
@@ -648,7 +1437,7 @@ function needsLandscapeForAngry() {
 
 function updateOrientationLock() {
     const overlay = document.getElementById('rotate-overlay');
-    const shouldBlock = (currentGame === 'angry' || pendingAngryStart) && needsLandscapeForAngry();
+    const shouldBlock = (SceneManager.isActive('angry') || pendingAngryStart) && needsLandscapeForAngry();
 
     if (overlay) {
         overlay.classList.toggle('hidden', !shouldBlock);
@@ -656,7 +1445,7 @@ function updateOrientationLock() {
     orientationBlocked = shouldBlock;
 
     if (shouldBlock) {
-        if (currentGame === 'angry') pendingAngryStart = true;
+        if (SceneManager.isActive('angry')) pendingAngryStart = true;
         if (AngryLeliGame && AngryLeliGame.stop) AngryLeliGame.stop();
         const board = document.getElementById('score-board');
         if (board) board.classList.add('hidden');
@@ -678,101 +1467,24 @@ function handleOrientationChange() {
     window.addEventListener(event, handleOrientationChange);
 });
 
-// Background Music
-let bgMusic = null;
-
-function initBackgroundMusic() {
-    if (!bgMusic) {
-        bgMusic = new Audio('assets/flintastek.mp3');
-        bgMusic.loop = true;
-        bgMusic.volume = 0.5;
-    }
-}
-
-function playBackgroundMusic() {
-    initBackgroundMusic();
-    if (bgMusic.paused) {
-        bgMusic.play().catch(e => {
-            console.log('Background music autoplay blocked, will try on interaction');
-        });
-    }
-}
-
-function stopBackgroundMusic() {
-    if (bgMusic && !bgMusic.paused) {
-        bgMusic.pause();
-        bgMusic.currentTime = 0;
-    }
-}
-
-// Try to play music on first interaction (for mobile)
-function tryPlayMusicOnInteraction() {
-    playBackgroundMusic();
-}
-['click', 'touchstart', 'keydown'].forEach(event => {
-    document.addEventListener(event, function musicStarter() {
-        // Only play if on main menu
-        if (currentGame === null && !document.getElementById('main-menu').classList.contains('hidden')) {
-            playBackgroundMusic();
-        }
-        document.removeEventListener(event, musicStarter);
-    }, { once: true });
-});
-
 function showMainMenu() {
-    // Stop any running game
-    isGameStarted = false;
-    isGameOver = false;
-    pendingAngryStart = false;
-    orientationBlocked = false;
-    const rotateOverlay = document.getElementById('rotate-overlay');
-    if (rotateOverlay) rotateOverlay.classList.add('hidden');
-    if (typeof FlappyGame !== 'undefined') {
-        FlappyGame.stop();
-    }
-    if (AngryLeliGame && AngryLeliGame.stop) {
-        AngryLeliGame.stop();
-    }
-
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Hide all screens
-    document.getElementById('main-menu').classList.remove('hidden');
-    document.getElementById('welcome-screen').classList.add('hidden');
-    document.getElementById('game-over').classList.add('hidden');
-    document.getElementById('flappy-welcome').classList.add('hidden');
-    document.getElementById('flappy-game-over').classList.add('hidden');
-    document.getElementById('angry-welcome').classList.add('hidden');
-    document.getElementById('angry-game-over').classList.add('hidden');
-    document.getElementById('score-board').classList.add('hidden');
-
-    currentGame = null;
-
-    // Play background music on main menu
-    playBackgroundMusic();
+    SceneManager.show('menu');
 }
 
-function showLeliWelcome() {
-    stopBackgroundMusic();
-    document.getElementById('main-menu').classList.add('hidden');
-    document.getElementById('welcome-screen').classList.remove('hidden');
-    currentGame = 'leli';
-}
+SceneManager.register('menu', {
+    screens: ['main-menu', 'leaderboard', 'achievements'],
 
-function showFlappyWelcome() {
-    stopBackgroundMusic();
-    document.getElementById('main-menu').classList.add('hidden');
-    document.getElementById('flappy-welcome').classList.remove('hidden');
-    currentGame = 'flappy';
-}
+    enter() {
+        pendingAngryStart = false;
+        orientationBlocked = false;
 
-function showAngryWelcome() {
-    stopBackgroundMusic();
-    document.getElementById('main-menu').classList.add('hidden');
-    document.getElementById('angry-welcome').classList.remove('hidden');
-    currentGame = 'angry';
-}
+        // Clear canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        document.getElementById('main-menu').classList.remove('hidden');
+    }
+});
+// The menu is already on screen when the page loads
+SceneManager.start('menu');
 
 function startFlappyGame() {
     document.getElementById('flappy-welcome').classList.add('hidden');
@@ -795,18 +1507,27 @@ function resetFlappyGame() {
     }
 }
 
-function startAngryGame() {
+async function startAngryGame() {
     if (updateOrientationLock()) {
         pendingAngryStart = true;
         return;
     }
+    // Unlock while we are still inside the user gesture
+    unlockAudio();
+
+    await LevelLoader.loadAll();
+    if (!SceneManager.isActive('angry')) return;
+    const levelError = document.getElementById('angry-level-error');
+    const hasLevels = LevelLoader.count() > 0 || !!AngryLeliGame.testLevel;
+    levelError.classList.toggle('hidden', hasLevels);
+    if (!hasLevels) {
+        levelError.textContent = `Levels could not be loaded. ${LevelLoader.errors[0] || ''}`;
+        return;
+    }
     pendingAngryStart = false;
     document.getElementById('angry-welcome').classList.add('hidden');
     document.getElementById('angry-game-over').classList.add('hidden');
     document.getElementById('score-board').classList.remove('hidden');
-    stopBackgroundMusic();
-    currentGame = 'angry';
-    unlockAudio();
 
     if (AngryLeliGame) {
         AngryLeliGame.start();
@@ -814,26 +1535,52 @@ function startAngryGame() {
 }
 
 function resetAngryGame() {
+    if (!LevelLoader.count() && !AngryLeliGame.testLevel) return;
     document.getElementById('angry-game-over').classList.add('hidden');
     document.getElementById('score-board').classList.remove('hidden');
-    currentGame = 'angry';
-    stopBackgroundMusic();
 
-    if (AngryLeliGame) {
-        AngryLeliGame.start();
-    }
+    if (AngryLeliGame) {
+        AngryLeliGame.start();
+    }
+}
+
+// Leli Poop difficulty presets
+const difficultyButtons = document.querySelectorAll('#leli-difficulty .difficulty-btn');
+difficultyButtons.forEach(btn => {
+    btn.addEventListener('click', () => Settings.set('leliDifficulty', btn.dataset.difficulty));
+});
+function syncDifficultyPicker() {
+    difficultyButtons.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.difficulty === Settings.get('leliDifficulty'));
+    });
+}
+Settings.onChange(syncDifficultyPicker);
+syncDifficultyPicker();
+
+// Leli Poop one or two players
+const modeButtons = document.querySelectorAll('#leli-mode .mode-btn');
+modeButtons.forEach(btn => {
+    btn.addEventListener('click', () => Settings.set('leliMode', btn.dataset.mode));
+});
+function syncModePicker() {
+    modeButtons.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === Settings.get('leliMode'));
+    });
 }
+Settings.onChange(syncModePicker);
+syncModePicker();
 
 // Menu button handlers
-document.getElementById('play-leli-btn').addEventListener('click', showLeliWelcome);
-document.getElementById('play-flappy-btn').addEventListener('click', showFlappyWelcome);
-document.getElementById('play-angry-btn').addEventListener('click', showAngryWelcome);
+document.getElementById('play-leli-btn').addEventListener('click', () => SceneManager.show('leli'));
+document.getElementById('play-flappy-btn').addEventListener('click', () => SceneManager.show('flappy'));
+document.getElementById('play-angry-btn').addEventListener('click', () => SceneManager.show('angry'));
 
 // Back to menu buttons
 document.getElementById('back-to-menu-leli').addEventListener('click', showMainMenu);
 document.getElementById('back-to-menu-flappy').addEventListener('click', showMainMenu);
 document.getElementById('back-to-menu-angry').addEventListener('click', showMainMenu);
 document.getElementById('menu-from-leli').addEventListener('click', showMainMenu);
+document.getElementById('menu-from-leli-results').addEventListener('click', showMainMenu);
 document.getElementById('menu-from-flappy').addEventListener('click', showMainMenu);
 document.getElementById('menu-from-angry').addEventListener('click', showMainMenu);
 
@@ -842,8 +1589,159 @@ document.getElementById('start-flappy-btn').addEventListener('click', startFlapp
 document.getElementById('restart-flappy-btn').addEventListener('click', resetFlappyGame);
 
 // Angry Leli buttons
-document.getElementById('start-angry-btn').addEventListener('click', startAngryGame);
+document.getElementById('start-angry-btn').addEventListener('click', () => {
+    AngryLeliGame.selectedLevel = null;
+    startAngryGame();
+});
 document.getElementById('restart-angry-btn').addEventListener('click', resetAngryGame);
+document.getElementById('next-level-btn').addEventListener('click', () => {
+    AngryLeliGame.selectedLevel = AngryLeliGame.currentLevel + 1;
+    resetAngryGame();
+});
+document.getElementById('angry-levels-btn').addEventListener('click', () => AngryLeliGame.showLevelSelect());
+
+// =====================================
+// HIGH SCORES
+// =====================================
+
+const GAME_OVER_SCREENS = {
+    leli: 'game-over',
+    flappy: 'flappy-game-over',
+    angry: 'angry-game-over'
+};
+
+// Every game calls this when a run ends. Returns false for replays, which
+// must not touch the score tables or show the game-over screen.
+function endRun(game, finalScore, level) {
+    if (Replay.isPlaying()) {
+        Replay.finishPlayback();
+        return false;
+    }
+    Replay.finishRun(finalScore);
+    recordScore(game, finalScore, level);
+    return true;
+}
+
+// Save a finished run and fill in the best-score line on that game's
+// game-over screen. Initials can be edited there after the fact.
+function recordScore(game, finalScore, level) {
+    const screen = document.getElementById(GAME_OVER_SCREENS[game]);
+    const result = ScoreStore.submit(game, finalScore, level);
+
+    screen.querySelector('.new-best').classList.toggle('hidden', !result.isNewBest);
+    screen.querySelector('.best-score').innerText = ScoreStore.getBest(game);
+
+    const entryRow = screen.querySelector('.initials-entry');
+    const input = screen.querySelector('.initials-input');
+    entryRow.classList.toggle('hidden', !result.entry);
+    entryRow.dataset.entryId = result.entry ? result.entry.id : '';
+    input.value = result.entry && result.entry.initials !== '???' ? result.entry.initials : '';
+    return result;
+}
+
+function saveInitials(game) {
+    const screen = document.getElementById(GAME_OVER_SCREENS[game]);
+    const entryRow = screen.querySelector('.initials-entry');
+    const input = screen.querySelector('.initials-input');
+    if (!entryRow.dataset.entryId) return;
+
+    input.value = ScoreStore.setInitials(game, entryRow.dataset.entryId, input.value);
+    entryRow.classList.add('hidden');
+}
+
+Object.keys(GAME_OVER_SCREENS).forEach(game => {
+    const screen = document.getElementById(GAME_OVER_SCREENS[game]);
+    screen.querySelector('.save-initials-btn').addEventListener('click', () => saveInitials(game));
+    screen.querySelector('.initials-input').addEventListener('keydown', (e) => {
+        // Keep typing from reaching the game key handlers
+        e.stopPropagation();
+        if (e.key === 'Enter') saveInitials(game);
+    });
+});
+
+function showLeaderboard(game) {
+    if (!SceneManager.isActive('menu')) SceneManager.show('menu');
+    document.getElementById('main-menu').classList.add('hidden');
+    document.getElementById('leaderboard').classList.remove('hidden');
+    renderLeaderboard(game || 'leli');
+}
+
+function renderLeaderboard(game) {
+    const table = ScoreStore.getTable(game);
+    const rows = document.getElementById('leaderboard-rows');
+    const showLevel = game === 'angry';
+
+    document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.game === game);
+    });
+    document.querySelectorAll('#leaderboard .level-col').forEach(el => {
+        el.classList.toggle('hidden', !showLevel);
+    });
+
+    rows.innerHTML = '';
+    table.forEach((entry, i) => {
+        const row = document.createElement('tr');
+        const cells = [
+            i + 1,
+            entry.initials,
+            entry.score,
+            showLevel ? (entry.level || '-') : null,
+            new Date(entry.date).toLocaleDateString()
+        ];
+        cells.forEach(value => {
+            if (value === null) return;
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        rows.appendChild(row);
+    });
+    document.getElementById('leaderboard-empty').classList.toggle('hidden', table.length > 0);
+}
+
+document.getElementById('leaderboard-btn').addEventListener('click', () => showLeaderboard());
+document.getElementById('back-from-leaderboard').addEventListener('click', showMainMenu);
+document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+    tab.addEventListener('click', () => renderLeaderboard(tab.dataset.game));
+});
+
+function showAchievements() {
+    if (!SceneManager.isActive('menu')) SceneManager.show('menu');
+    document.getElementById('main-menu').classList.add('hidden');
+    document.getElementById('achievements').classList.remove('hidden');
+    renderAchievements();
+}
+
+function renderAchievements() {
+    const list = document.getElementById('achievement-list');
+    const unlockedCount = Achievements.LIST.filter(a => Achievements.isUnlocked(a.id)).length;
+    document.getElementById('achievement-progress').textContent = `${unlockedCount} / ${Achievements.LIST.length} unlocked`;
+
+    list.innerHTML = '';
+    Achievements.LIST.forEach(achievement => {
+        const date = Achievements.getUnlockedDate(achievement.id);
+        const item = document.createElement('li');
+        item.className = 'achievement-item';
+        item.classList.toggle('locked', !date);
+
+        const icon = document.createElement('span');
+        icon.className = 'achievement-icon';
+        icon.textContent = date ? achievement.icon : '🔒';
+        const text = document.createElement('div');
+        const title = document.createElement('strong');
+        title.textContent = achievement.title;
+        const description = document.createElement('span');
+        description.textContent = date
+            ? `${achievement.description} - ${new Date(date).toLocaleDateString()}`
+            : achievement.description;
+        text.append(title, description);
+        item.append(icon, text);
+        list.appendChild(item);
+    });
+}
+
+document.getElementById('achievements-btn').addEventListener('click', showAchievements);
+document.getElementById('back-from-achievements').addEventListener('click', showMainMenu);
 
 // =====================================
 // ANGRY LELI (Angry Birds-style mini-game)
@@ -851,15 +1749,19 @@ document.getElementById('restart-angry-btn').addEventListener('click', resetAngr
 AngryLeliGame = {
     canvas,
     ctx,
+    screens: ['angry-welcome', 'angry-game-over', 'editor-return-btn'],
+    maxDt: 0.05,
     isRunning: false,
-    lastTime: 0,
     score: 0,
-    birdsRemaining: 0,
+    birdQueue: [], // bird types still to come, next first
     maxBirds: 5,
     birds: [],
     pigs: [],
     obstacles: [],
     currentLevel: 0,
+    selectedLevel: null, // level the next run starts on; null continues (see nextLevel)
+    level: null,
+    testLevel: null, // level being test-played from the editor
     particles: [],
     currentBird: null,
     isDragging: false,
@@ -867,27 +1769,50 @@ AngryLeliGame = {
     pull: { dist: 0, angle: -Math.PI / 4 },
     maxPull: 250,
     groundY: 0,
-    birdRadius: 18,
     pigRadius: 16,
+    bombRadius: 120,
+    birdBonus: 500, // points per unused bird when a level is cleared
+    levelBonus: 0,
+    lastShotPath: null, // sampled flight of the previous bird, drawn as a ghost
+    maxPathPoints: 300,
+    world: null, // PhysicsWorld holding the level's blocks and pigs
+    settleTime: 0.5, // seconds after a level loads before impacts do damage
+    pigCrushSpeed: 200, // impact speed that pops a pig
+    blockBreakSpeed: 150, // impacts slower than this don't damage blocks
+    endTimer: 0,
     nextBirdTimer: 0,
     images: {},
     imagesLoaded: false,
 
     init() {
         this.loadImages();
+        LevelLoader.loadAll();
         this.onResize();
-        this.setupControls();
+        this.setupSettings();
+    },
+
+    setupSettings() {
+        const preview = Settings.bindCheckbox('angry-preview-toggle', 'trajectoryPreview');
+        Settings.bindCheckbox('angry-hard-toggle', 'angryHardMode');
+        // Hard mode overrides the preview toggle
+        const syncPreview = () => {
+            preview.disabled = Settings.get('angryHardMode');
+        };
+        Settings.onChange(syncPreview);
+        syncPreview();
     },
 
     loadImages() {
         const imagePaths = {
-            bird: 'assets/leli-angry.png',
             pig: 'assets/pig-target-sprite.svg',
             slingshot: 'assets/slingshot-sprite.svg',
             background: 'assets/angry-leli-background.svg',
             particle: 'assets/explosion-particle.svg',
             platform: 'assets/wood-platform.svg'
         };
+        Object.keys(LevelFormat.BIRDS).forEach(type => {
+            imagePaths[`bird-${type}`] = LevelFormat.BIRDS[type].sprite;
+        });
 
         let loadedCount = 0;
         const totalImages = Object.keys(imagePaths).length;
@@ -915,6 +1840,7 @@ AngryLeliGame = {
         const slingTargetX = canvas.width * 0.20; // Further right for even more pull space on the left
         this.slingAnchor.x = Math.max(200, Math.min(380, slingTargetX));
         this.slingAnchor.y = this.groundY - 60;
+        if (this.world) this.world.setGroundY(this.groundY);
 
         // Keep an unlaunched bird at the sling after resize
         if (this.currentBird && !this.currentBird.launched) {
@@ -923,41 +1849,62 @@ AngryLeliGame = {
         }
     },
 
-    setupControls() {
-        const pointerDown = (e) => {
-            if (!this.isRunning || currentGame !== 'angry') return;
-            const pos = this.getPointer(e);
-            if (this.canGrab(pos.x, pos.y)) {
-                this.isDragging = true;
-                this.updateAim(pos.x, pos.y);
-                e.preventDefault();
-            }
-        };
+    // Live input (pointer or gamepad) only counts during an unpaused, unreplayed run
+    acceptsInput() {
+        return this.isRunning && SceneManager.isActive('angry') && !SceneManager.paused && !Replay.isPlaying();
+    },
 
-        const pointerMove = (e) => {
-            if (!this.isRunning || currentGame !== 'angry' || !this.isDragging) return;
-            const pos = this.getPointer(e);
-            this.updateAim(pos.x, pos.y);
-            e.preventDefault();
-        };
+    // Input actions (see input.js): the pointer or right stick works the
+    // sling, the launch button lets go or fires the flying bird's ability
+    actions: {
+        aim(phase, x, y) {
+            if (!this.acceptsInput()) return false;
+            if (phase !== 'd' && !this.isDragging) return false;
+            return this.pointerAction(phase, x, y);
+        },
+        launch(pressed) {
+            if (!pressed || !this.acceptsInput()) return false;
+            return this.isDragging ? this.pointerAction('u') : this.useAbility();
+        }
+    },
 
-        const pointerUp = (e) => {
-            if (!this.isRunning || currentGame !== 'angry' || !this.isDragging) return;
+    // Shared by live pointer events and replays. Returns true when handled.
+    pointerAction(type, x, y) {
+        if (type === 'd') {
+            // A tap away from the sling triggers the flying bird's ability
+            if (!this.canGrab(x, y)) return this.useAbility();
+            Replay.record('d', x, y);
+            this.isDragging = true;
+            this.updateAim(x, y);
+            return true;
+        }
+        if (!this.isDragging) return false;
+        if (type === 'm') {
+            Replay.record('m', x, y);
+            this.updateAim(x, y);
+        } else if (type === 'u') {
+            Replay.record('u');
             this.launchCurrentBird();
-            e.preventDefault();
-        };
+        }
+        return true;
+    },
+
+    applyInput(type, args) {
+        if (type === 'a') {
+            this.useAbility();
+            return;
+        }
+        this.pointerAction(type, args[0], args[1]);
+    },
 
-        canvas.addEventListener('pointerdown', pointerDown, { passive: false });
-        canvas.addEventListener('pointermove', pointerMove, { passive: false });
-        canvas.addEventListener('pointerup', pointerUp, { passive: false });
-        canvas.addEventListener('pointerleave', pointerUp, { passive: false });
+    // Replays carry the level they were recorded on
+    startRun(replay) {
+        if (replay) this.selectedLevel = replay.level || 0;
+        startAngryGame();
     },
 
     getPointer(e) {
-        const rect = canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) * (canvas.width / rect.width);
-        const y = (e.clientY - rect.top) * (canvas.height / rect.height);
-        return { x, y };
+        return Input.canvasPoint(e);
     },
 
     canGrab(x, y) {
@@ -979,33 +1926,44 @@ AngryLeliGame = {
         this.currentBird.y = this.slingAnchor.y + Math.sin(angle) * dist;
     },
 
+    // Launch velocity for a pull, or null when the pull is too short to fire
+    getLaunchVelocity(pull) {
+        const { dist, angle } = pull;
+        const minPull = 10;
+        if (dist < minPull) return null;
+
+        const speedScale = 5.0;
+        // FIXED: Use the opposite angle to launch in the correct direction
+        // When you pull down, the bird should launch up (and vice versa)
+        return {
+            vx: -Math.cos(-angle) * dist * speedScale,
+            vy: -Math.sin(-angle) * dist * speedScale
+        };
+    },
+
     launchCurrentBird() {
         if (!this.currentBird) return;
-        const { dist, angle } = this.pull;
-        const minPull = 10;
-        if (dist < minPull) {
+        const velocity = this.getLaunchVelocity(this.pull);
+        if (!velocity) {
             // Not enough pull, snap back
             this.resetCurrentBirdPosition();
             this.isDragging = false;
             return;
         }
 
-        const speedScale = 5.0;
-        // FIXED: Use the opposite angle to launch in the correct direction
-        // When you pull down, the bird should launch up (and vice versa)
-        this.currentBird.vx = -Math.cos(-angle) * dist * speedScale;
-        this.currentBird.vy = -Math.sin(-angle) * dist * speedScale;
+        this.currentBird.vx = velocity.vx;
+        this.currentBird.vy = velocity.vy;
         this.currentBird.launched = true;
         this.currentBird.active = true;
         this.currentBird.restTime = 0;
+        this.currentBird.path = [{ x: this.currentBird.x, y: this.currentBird.y }];
+        this.lastShotPath = this.currentBird.path;
         this.birds.push(this.currentBird);
         this.currentBird = null;
         this.isDragging = false;
         this.nextBirdTimer = 0.5;
 
-        if (SoundManager && SoundManager.playPoop) {
-            SoundManager.playPoop();
-        }
+        GameEvents.emit('launch', { game: 'angry', bird: this.birds[this.birds.length - 1].type });
     },
 
     resetCurrentBirdPosition() {
@@ -1016,150 +1974,295 @@ AngryLeliGame = {
     },
 
     prepareNextBird() {
-        if (this.birdsRemaining <= 0) return;
+        if (!this.birdQueue.length) return;
+        const type = this.birdQueue.shift();
+        const spec = LevelFormat.BIRDS[type];
         this.currentBird = {
+            type,
             x: this.slingAnchor.x,
             y: this.slingAnchor.y,
             vx: 0,
             vy: 0,
-            r: this.birdRadius,
+            r: spec.radius,
+            mass: spec.mass,
+            ability: spec.ability,
+            abilityUsed: false,
             launched: false,
             active: true,
             restTime: 0
         };
         this.pull = { dist: 0, angle: -Math.PI / 4 };
-        this.birdsRemaining--;
     },
 
-    buildLevel(levelIndex) {
-        const g = this.groundY;
-        const r = this.pigRadius;
+    // ---------- Bird abilities ----------
+
+    // Fires the ability of the latest bird still in flight. Returns true when used.
+    useAbility() {
+        const bird = this.birds.slice().reverse().find(b => b.active && b.ability && !b.abilityUsed);
+        if (!bird) return false;
+
+        Replay.record('a');
+        bird.abilityUsed = true;
+        if (bird.ability === 'split') {
+            this.splitBird(bird);
+        } else if (bird.ability === 'dash') {
+            this.dashBird(bird);
+        } else if (bird.ability === 'bomb') {
+            this.explodeBird(bird);
+        }
+        GameEvents.emit('ability', { game: 'angry', ability: bird.ability });
+        return true;
+    },
+
+    // Two copies peel off either side of the flight path
+    splitBird(bird) {
+        const speed = Math.hypot(bird.vx, bird.vy);
+        const angle = Math.atan2(bird.vy, bird.vx);
+        [-0.22, 0.22].forEach(offset => {
+            this.birds.push({
+                ...bird,
+                vx: Math.cos(angle + offset) * speed,
+                vy: Math.sin(angle + offset) * speed,
+                restTime: 0,
+                path: null
+            });
+        });
+    },
+
+    dashBird(bird) {
+        bird.vx *= 2.2;
+        bird.vy *= 2.2;
+        this.spawnHitParticles(bird.x, bird.y);
+    },
+
+    // Area damage that falls off with distance and throws blocks outwards
+    explodeBird(bird) {
+        bird.active = false;
+        const radius = this.bombRadius;
+
+        for (const ob of this.obstacles) {
+            if (!ob.alive) continue;
+            const dx = ob.body.x - bird.x;
+            const dy = ob.body.y - bird.y;
+            const dist = Math.max(1, Math.hypot(dx, dy) - Math.min(ob.w, ob.h) / 2);
+            if (dist > radius) continue;
+            const falloff = 1 - dist / radius;
+            ob.body.applyImpulse(dx / dist * ob.body.mass * 500 * falloff, dy / dist * ob.body.mass * 500 * falloff,
+                ob.body.x, ob.body.y - ob.h / 4);
+            this.damageObstacle(ob, 5 * falloff);
+        }
+        for (const pig of this.pigs) {
+            if (pig.alive && Math.hypot(pig.x - bird.x, pig.y - bird.y) < radius * 0.75 + pig.r) {
+                this.killPig(pig);
+            }
+        }
+        this.world.wake();
+
+        for (let i = 0; i < 3; i++) {
+            this.spawnHitParticles(bird.x, bird.y);
+        }
+    },
+
+    // Canvas point that level coordinates are measured from (see levels.js)
+    getLevelOrigin() {
         // Push targets right, but not as extreme
         const baseX = Math.max(200, Math.min(canvas.width - 200, Math.max(canvas.width * 0.60, this.slingAnchor.x + 340)));
-        const platformH = 18;
-        const tallH = 90;
-
-        const layouts = [
-            // Level 0: original simple cluster
-            () => ({
-                pigs: [
-                    { x: baseX, y: g - r, r },
-                    { x: baseX + 60, y: g - r, r },
-                    { x: baseX + 30, y: g - r * 3, r },
-                    { x: baseX + 100, y: g - r * 2, r }
-                ],
-                obstacles: []
-            }),
-            // Level 1: two pillars and a roof
-            () => ({
-                pigs: [
-                    { x: baseX - 10, y: g - r, r },
-                    { x: baseX + 70, y: g - r, r },
-                    { x: baseX + 150, y: g - r, r },
-                    { x: baseX + 40, y: g - tallH - r, r },
-                    { x: baseX + 120, y: g - tallH - platformH - r * 1.3, r }
-                ],
-                obstacles: [
-                    { x: baseX - 60, y: g - platformH, w: 220, h: platformH, health: 5 },
-                    { x: baseX - 60, y: g - platformH - tallH, w: 24, h: tallH, health: 4 },
-                    { x: baseX + 136, y: g - platformH - tallH, w: 24, h: tallH, health: 4 },
-                    { x: baseX - 40, y: g - platformH - tallH - platformH, w: 240, h: platformH, health: 5 }
-                ]
-            }),
-            // Level 2: stacked platforms with roof
-            () => ({
-                pigs: [
-                    { x: baseX + 10, y: g - r, r },
-                    { x: baseX + 80, y: g - r, r },
-                    { x: baseX + 150, y: g - r, r },
-                    { x: baseX + 70, y: g - 70 - r, r },
-                    { x: baseX + 120, y: g - 70 - platformH - r * 1.5, r }
-                ],
-                obstacles: [
-                    { x: baseX - 30, y: g - platformH, w: 240, h: platformH, health: 5 },
-                    { x: baseX, y: g - platformH - 70, w: 20, h: 70, health: 4 },
-                    { x: baseX + 190, y: g - platformH - 70, w: 20, h: 70, health: 4 },
-                    { x: baseX - 10, y: g - platformH - 70, w: 240, h: 16, health: 4 },
-                    { x: baseX + 60, y: g - platformH - 70 - 70, w: 120, h: 16, health: 3 }
-                ]
-            })
-        ];
+        return { x: baseX, y: this.groundY };
+    },
 
-        const builder = layouts[levelIndex % layouts.length];
-        const { pigs, obstacles } = builder();
+    buildLevel(levelIndex) {
+        return this.placeLevel(this.testLevel || LevelLoader.get(levelIndex), levelIndex);
+    },
 
-        const normalizedPigs = pigs.map(p => ({ ...p, alive: true }));
-        const normalizedObstacles = obstacles.map(o => ({
-            ...o,
+    // Place a level file on the current canvas
+    placeLevel(level, levelIndex) {
+        const origin = this.getLevelOrigin();
+
+        const pigs = level.pigs.map(p => ({
+            x: origin.x + p.x,
+            y: origin.y + p.y,
+            r: p.r || this.pigRadius,
+            alive: true
+        }));
+        const obstacles = (level.obstacles || []).map(o => ({
+            x: origin.x + o.x,
+            y: origin.y + o.y,
+            w: o.w,
+            h: o.h,
+            material: o.material || 'wood',
             alive: true,
             health: o.health || 3
         }));
 
-        return { pigs: normalizedPigs, obstacles: normalizedObstacles };
+        return {
+            name: level.name || `Level ${(levelIndex || 0) + 1}`,
+            birds: LevelFormat.birdQueue(level.birds, this.maxBirds),
+            stars: level.stars || this.defaultStars(pigs.length),
+            pigs,
+            obstacles
+        };
+    },
+
+    // Levels without thresholds: clear it, then save one or two birds
+    defaultStars(pigCount) {
+        const allPigs = pigCount * 100;
+        return [allPigs, allPigs + this.birdBonus, allPigs + this.birdBonus * 2];
     },
 
     loadLevel(levelIndex) {
         const layout = this.buildLevel(levelIndex);
         this.currentLevel = levelIndex;
+        this.level = layout;
+        this.birdQueue = layout.birds.slice();
         this.pigs = layout.pigs;
         this.obstacles = layout.obstacles;
+        this.buildWorld();
         this.particles = [];
         this.birds = [];
+        this.lastShotPath = null;
         this.currentBird = null;
         this.isDragging = false;
         this.nextBirdTimer = 0;
+        this.endTimer = 0;
         this.prepareNextBird();
     },
 
-    advanceLevel() {
-        // Reward a couple birds for clearing a wave
-        this.birdsRemaining = Math.max(this.birdsRemaining + 2, 2);
-        this.loadLevel(this.currentLevel + 1);
+    // Blocks become boxes and pigs circles in a fresh physics world
+    buildWorld() {
+        this.world = new PhysicsWorld({ gravity: 700, groundY: this.groundY });
+        for (const ob of this.obstacles) {
+            const material = LevelFormat.MATERIALS[ob.material];
+            ob.body = this.world.addBox(ob.x + ob.w / 2, ob.y + ob.h / 2, ob.w, ob.h, {
+                density: material.density,
+                friction: material.friction,
+                userData: ob
+            });
+        }
+        for (const pig of this.pigs) {
+            pig.body = this.world.addCircle(pig.x, pig.y, pig.r, {
+                friction: 0.8,
+                angularDamping: 2,
+                userData: pig
+            });
+        }
+    },
+
+    // Every bird left over is worth a bonus
+    completeLevel() {
+        const unusedBirds = this.birdQueue.length + (this.currentBird ? 1 : 0);
+        this.levelBonus = unusedBirds * this.birdBonus;
+        this.score += this.levelBonus;
+        this.updateScore();
+        this.gameOver(true);
+    },
+
+    enter(options) {
+        this.testLevel = options && options.testLevel ? options.testLevel : null;
+        if (this.testLevel) {
+            startAngryGame();
+            return;
+        }
+        document.getElementById('angry-welcome').classList.remove('hidden');
+        LevelLoader.loadAll().then(() => {
+            if (SceneManager.isActive('angry')) this.renderLevelSelect();
+        });
+    },
+
+    showLevelSelect() {
+        document.getElementById('angry-game-over').classList.add('hidden');
+        document.getElementById('angry-welcome').classList.remove('hidden');
+        this.renderLevelSelect();
+    },
+
+    // One button per level with its best stars; locked levels are disabled
+    renderLevelSelect() {
+        const grid = document.getElementById('angry-level-grid');
+        grid.innerHTML = '';
+
+        const levels = LevelLoader.levels;
+        const next = this.nextLevel();
+
+        levels.forEach((level, i) => {
+            const unlocked = LevelProgress.isUnlocked(i);
+            const stars = LevelProgress.getStars(level.file);
+            const cell = document.createElement('button');
+            cell.className = 'level-cell';
+            cell.classList.toggle('selected', i === next);
+            cell.disabled = !unlocked;
+            cell.title = level.name || `Level ${i + 1}`;
+
+            const number = document.createElement('span');
+            number.textContent = unlocked ? i + 1 : '🔒';
+            const starLine = document.createElement('span');
+            starLine.className = 'level-cell-stars';
+            starLine.textContent = '★'.repeat(stars) + '☆'.repeat(3 - stars);
+            cell.append(number, starLine);
+
+            cell.addEventListener('click', () => {
+                this.selectedLevel = i;
+                startAngryGame();
+            });
+            grid.appendChild(cell);
+        });
+    },
+
+    // Play continues from the first unlocked level that hasn't been cleared
+    nextLevel() {
+        const next = LevelLoader.levels.findIndex((level, i) => LevelProgress.isUnlocked(i) && !LevelProgress.getStars(level.file));
+        return Math.max(0, next);
+    },
+
+    exit() {
+        this.stop();
+        this.testLevel = null;
+    },
+
+    restart() {
+        this.start();
     },
 
     start() {
+        if (this.selectedLevel === null) this.selectedLevel = this.nextLevel();
+        beginRun('angry', { level: this.selectedLevel });
         this.reset();
         this.isRunning = true;
-        this.lastTime = performance.now();
-        requestAnimationFrame((t) => this.loop(t));
+        document.getElementById('editor-return-btn').classList.toggle('hidden', !this.testLevel);
+        SceneManager.run();
     },
 
     reset() {
         this.score = 0;
-        this.birdsRemaining = this.maxBirds;
-        this.loadLevel(0);
-        document.getElementById('score').innerText = this.score;
+        this.levelBonus = 0;
+        this.loadLevel(this.testLevel ? 0 : this.selectedLevel);
+        this.updateScore();
     },
 
-    stop() {
-        this.isRunning = false;
+    updateScore() {
+        GameEvents.emit('score', { game: 'angry', score: this.score });
     },
 
-    loop(timestamp) {
-        if (!this.isRunning || currentGame !== 'angry') return;
-        let dt = (timestamp - this.lastTime) / 1000;
-        this.lastTime = timestamp;
-        if (isNaN(dt) || dt > 0.05) dt = 0.016;
-
-        this.update(dt);
-        this.draw(dt);
-
-        requestAnimationFrame((t) => this.loop(t));
+    stop() {
+        this.isRunning = false;
+        if (SceneManager.isActive('angry')) SceneManager.halt();
     },
 
     update(dt) {
         this.updateBirds(dt);
+        this.updatePhysics(dt);
         this.updateParticles(dt);
         this.cleanupObstacles();
         this.checkHits();
         this.handleNextBird(dt);
-        this.checkGameOver();
+        this.checkGameOver(dt);
     },
 
     updateBirds(dt) {
         for (const bird of this.birds) {
             this.integrateBird(bird, dt);
             this.handleObstacleCollisions(bird);
+            if (bird.path && bird.path.length < this.maxPathPoints && SceneManager.tick % 4 === 0) {
+                bird.path.push({ x: bird.x, y: bird.y });
+            }
         }
         this.birds = this.birds.filter(b => b.active);
     },
@@ -1185,6 +2288,7 @@ AngryLeliGame = {
         // Ground bounce
         if (bird.y + bird.r > this.groundY) {
             bird.y = this.groundY - bird.r;
+            bird.abilityUsed = true;
             if (Math.abs(bird.vy) > 40) {
                 bird.vy *= -0.35;
             } else {
@@ -1210,46 +2314,105 @@ AngryLeliGame = {
         }
     },
 
+    // Birds fly outside the physics world; hits trade an impulse with the block
     handleObstacleCollisions(bird) {
         if (!bird.launched) return;
+        const restitution = 0.3;
         for (const ob of this.obstacles) {
             if (!ob.alive) continue;
+            const body = ob.body;
+            const hit = PhysicsWorld.circleVsBox(bird, body);
+            if (!hit) continue;
+
+            // Push bird out of the obstacle
+            bird.x += hit.nx * hit.depth;
+            bird.y += hit.ny * hit.depth;
+
+            const blockVel = body.velocityAt(hit.x, hit.y);
+            const vn = (bird.vx - blockVel.x) * hit.nx + (bird.vy - blockVel.y) * hit.ny;
+            if (vn >= 0) continue;
+
+            const rn = (hit.x - body.x) * hit.ny - (hit.y - body.y) * hit.nx;
+            const impulse = -(1 + restitution) * vn /
+                (1 / bird.mass + body.invMass + body.invInertia * rn * rn);
+            bird.vx += impulse * hit.nx / bird.mass;
+            bird.vy += impulse * hit.ny / bird.mass;
+            body.applyImpulse(-impulse * hit.nx, -impulse * hit.ny, hit.x, hit.y);
+            this.world.wake();
+            bird.abilityUsed = true;
+
+            // Damage the obstacle based on impact
+            if (-vn > this.blockBreakSpeed) {
+                this.damageObstacle(ob, -vn * 0.004);
+            }
 
-            const nearestX = Math.max(ob.x, Math.min(bird.x, ob.x + ob.w));
-            const nearestY = Math.max(ob.y, Math.min(bird.y, ob.y + ob.h));
-            const dx = bird.x - nearestX;
-            const dy = bird.y - nearestY;
-            const distSq = dx * dx + dy * dy;
-            const r = bird.r;
-
-            if (distSq < r * r) {
-                const dist = Math.sqrt(distSq) || 0.001;
-                const nx = dx / dist;
-                const ny = dy / dist;
-                const overlap = r - dist;
-
-                // Push bird out of the obstacle
-                bird.x += nx * overlap;
-                bird.y += ny * overlap;
-
-                // Reflect velocity with some dampening
-                const dot = bird.vx * nx + bird.vy * ny;
-                bird.vx = (bird.vx - 1.6 * dot * nx) * 0.82;
-                bird.vy = (bird.vy - 1.6 * dot * ny) * 0.82;
-
-                // Damage the obstacle based on impact
-                ob.health -= Math.max(1, Math.abs(dot) * 0.02);
-                if (ob.health <= 0) {
-                    ob.alive = false;
-                }
+            // Wake the bird to prevent sleeping mid-block
+            bird.active = true;
+            bird.restTime = 0;
+        }
+    },
 
-                // Wake the bird to prevent sleeping mid-block
-                bird.active = true;
-                bird.restTime = 0;
+    updatePhysics(dt) {
+        this.world.step(dt);
+
+        for (const pig of this.pigs) {
+            if (!pig.alive) continue;
+            pig.x = pig.body.x;
+            pig.y = pig.body.y;
+            pig.angle = pig.body.angle;
+        }
+
+        // Hard landings break blocks and pop pigs, once the level has settled
+        if (this.world.time > this.settleTime) {
+            for (const impact of this.world.impacts) {
+                this.applyImpact(impact.a.userData, impact.speed);
+                this.applyImpact(impact.b.userData, impact.speed);
+            }
+        }
+
+        // Anything knocked off the screen is gone
+        for (const body of this.world.bodies.slice()) {
+            if (body.y - 200 > canvas.height || body.x < -200 || body.x > canvas.width + 200) {
+                const item = body.userData;
+                if (this.pigs.includes(item)) {
+                    this.killPig(item);
+                } else {
+                    this.damageObstacle(item, Infinity);
+                }
             }
         }
     },
 
+    applyImpact(item, speed) {
+        if (!item || !item.alive) return;
+        if (this.pigs.includes(item)) {
+            if (speed > this.pigCrushSpeed) this.killPig(item);
+        } else if (speed > this.blockBreakSpeed) {
+            this.damageObstacle(item, (speed - this.blockBreakSpeed) * 0.01);
+        }
+    },
+
+    // Tougher materials shrug off more of each hit
+    damageObstacle(ob, amount) {
+        if (!ob.alive) return;
+        ob.health -= amount / LevelFormat.MATERIALS[ob.material].toughness;
+        if (ob.health <= 0) {
+            ob.alive = false;
+            this.world.remove(ob.body);
+            this.spawnHitParticles(ob.body.x, ob.body.y);
+        }
+    },
+
+    killPig(pig) {
+        if (!pig.alive) return;
+        pig.alive = false;
+        this.world.remove(pig.body);
+        this.score += 100;
+        this.updateScore();
+        this.spawnHitParticles(pig.x, pig.y);
+        GameEvents.emit('pigHit', { game: 'angry', score: this.score });
+    },
+
     updateParticles(dt) {
         for (const p of this.particles) {
             p.x += p.vx * dt;
@@ -1273,15 +2436,10 @@ AngryLeliGame = {
                 const dy = pig.y - bird.y;
                 const dist = Math.hypot(dx, dy);
                 if (dist < pig.r + bird.r) {
-                    pig.alive = false;
-                    this.score += 100;
-                    document.getElementById('score').innerText = this.score;
-                    this.spawnHitParticles(pig.x, pig.y);
+                    this.killPig(pig);
                     bird.vx *= 0.7;
                     bird.vy *= 0.7;
-                    if (SoundManager && SoundManager.playSplat) {
-                        SoundManager.playSplat();
-                    }
+                    bird.abilityUsed = true;
                     break;
                 }
             }
@@ -1289,40 +2447,88 @@ AngryLeliGame = {
     },
 
     handleNextBird(dt) {
-        if (this.currentBird || this.birdsRemaining <= 0) return;
+        if (this.currentBird || !this.birdQueue.length) return;
         this.nextBirdTimer -= dt;
         if (this.nextBirdTimer <= 0) {
             this.prepareNextBird();
         }
     },
 
-    checkGameOver() {
+    checkGameOver(dt) {
         const pigsAlive = this.pigs.some(p => p.alive);
         if (!pigsAlive) {
-            this.advanceLevel();
+            this.completeLevel();
             return;
         }
 
         const activeBirds = this.birds.some(b => b.active);
-        const hasAmmo = this.birdsRemaining > 0 || !!this.currentBird;
-        if (!activeBirds && !hasAmmo) {
+        const hasAmmo = this.birdQueue.length > 0 || !!this.currentBird;
+        if (activeBirds || hasAmmo) return;
+
+        // Give toppling blocks a chance to finish the job
+        this.endTimer += dt;
+        if (this.world.isSettled() || this.endTimer > 4) {
             this.gameOver(false);
         }
     },
 
     gameOver(victory) {
-        this.isRunning = false;
-        const title = document.querySelector('#angry-game-over h1');
-        if (title) {
-            title.textContent = victory ? 'LEVEL CLEAR' : 'GAME OVER';
+        this.stop();
+        if (this.testLevel) {
+            // Test plays go straight back to the editor
+            SceneManager.show('angry-editor');
+            return;
         }
-        document.getElementById('angry-final-score').innerText = this.score;
+        GameEvents.emit('gameOver', { game: 'angry', score: this.score, victory: !!victory });
+        const screen = document.getElementById('angry-game-over');
+        screen.querySelector('h1').textContent = victory ? 'LEVEL CLEAR' : 'GAME OVER';
+        screen.querySelector('.gameover-image').src = victory ? 'assets/leli.png' : 'assets/leli-cry.png';
         document.getElementById('score-board').classList.add('hidden');
-        document.getElementById('angry-game-over').classList.remove('hidden');
+        if (!endRun('angry', this.score, this.currentLevel + 1)) return;
+
+        let stars = 0;
+        if (victory) {
+            stars = LevelFormat.rateStars(this.level.stars, this.score);
+            LevelProgress.record(LevelLoader.get(this.currentLevel).file, stars, this.score);
+            this.publishLevelCleared(stars);
+        }
+        const starRow = document.getElementById('angry-stars');
+        starRow.innerHTML = '';
+        for (let i = 0; i < 3; i++) {
+            const star = document.createElement('span');
+            star.textContent = '★';
+            star.classList.toggle('earned', i < stars);
+            starRow.appendChild(star);
+        }
+        starRow.classList.toggle('hidden', !victory);
+        document.getElementById('angry-bonus-score').innerText = this.levelBonus;
+        document.getElementById('angry-bird-bonus').classList.toggle('hidden', !victory || !this.levelBonus);
+        document.getElementById('angry-level-name').textContent = `Level ${this.currentLevel + 1}: ${this.level.name}`;
+
+        const hasNext = victory && this.currentLevel + 1 < LevelLoader.count();
+        document.getElementById('next-level-btn').classList.toggle('hidden', !hasNext);
+
+        document.getElementById('angry-final-score').innerText = this.score;
+        screen.classList.remove('hidden');
+    },
+
+    publishLevelCleared(stars) {
+        let levelsCleared = 0;
+        for (let i = 0; i < LevelLoader.count(); i++) {
+            if (LevelProgress.getStars(LevelLoader.get(i).file) > 0) levelsCleared++;
+        }
+        GameEvents.emit('levelCleared', {
+            game: 'angry',
+            stars,
+            birdsUsed: this.level.birds.length - this.birdQueue.length - (this.currentBird ? 1 : 0),
+            levelsCleared,
+            levelCount: LevelLoader.count()
+        });
     },
 
     spawnHitParticles(x, y) {
-        for (let i = 0; i < 18; i++) {
+        const count = effectsCount(18);
+        for (let i = 0; i < count; i++) {
             this.particles.push({
                 x,
                 y,
@@ -1337,6 +2543,17 @@ AngryLeliGame = {
     draw(dt) {
         const ctx = this.ctx;
 
+        this.drawScenery(ctx, dt);
+        this.drawSlingshot(ctx);
+        this.drawObstacles(ctx);
+        this.drawTargets(ctx);
+        this.drawAimAssist(ctx);
+        this.drawBirds(ctx);
+        this.drawParticles(ctx);
+        this.drawAmmo(ctx);
+    },
+
+    drawScenery(ctx, dt) {
         // Draw new background using preloaded image
         if (this.imagesLoaded) {
             ctx.drawImage(this.images.background, 0, 0, canvas.width, canvas.height);
@@ -1349,13 +2566,59 @@ AngryLeliGame = {
 
         // Draw ground overlay
         drawTileFloor(ctx);
+    },
 
-        this.drawSlingshot(ctx);
-        this.drawObstacles(ctx);
-        this.drawTargets(ctx);
-        this.drawBirds(ctx);
-        this.drawParticles(ctx);
-        this.drawAmmo(ctx);
+    // ---------- Aim assist ----------
+
+    isAimAssistOn() {
+        return Settings.get('trajectoryPreview') && !Settings.get('angryHardMode');
+    },
+
+    // Flies a copy of the bird through integrateBird until it would hit
+    // something, sampling points along the way
+    predictTrajectory(bird, velocity) {
+        const probe = { ...bird, vx: velocity.vx, vy: velocity.vy, launched: true, active: true, restTime: 0 };
+        const points = [];
+        const maxSteps = Math.round(3 / SceneManager.STEP);
+
+        for (let step = 0; step < maxSteps && probe.active; step++) {
+            this.integrateBird(probe, SceneManager.STEP);
+            if (step % 4 === 0) points.push({ x: probe.x, y: probe.y });
+
+            const hitsBlock = this.obstacles.some(ob => ob.alive && PhysicsWorld.circleVsBox(probe, ob.body));
+            const hitsPig = this.pigs.some(pig => pig.alive && Math.hypot(pig.x - probe.x, pig.y - probe.y) < pig.r + probe.r);
+            if (hitsBlock || hitsPig) {
+                points.push({ x: probe.x, y: probe.y });
+                break;
+            }
+        }
+        return points;
+    },
+
+    drawAimAssist(ctx) {
+        if (!this.isAimAssistOn()) return;
+
+        const drawDots = (points, radius, color) => {
+            ctx.fillStyle = color;
+            points.forEach((p, i) => {
+                // Dots shrink along the arc
+                const r = radius * (1 - 0.5 * i / points.length);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        };
+
+        ctx.save();
+        if (this.lastShotPath && this.lastShotPath.length > 1) {
+            drawDots(this.lastShotPath, 3, 'rgba(255, 255, 255, 0.2)');
+        }
+
+        const velocity = this.isDragging && this.currentBird && this.getLaunchVelocity(this.pull);
+        if (velocity) {
+            drawDots(this.predictTrajectory(this.currentBird, velocity), 4, 'rgba(255, 255, 255, 0.85)');
+        }
+        ctx.restore();
     },
 
     drawSlingshot(ctx) {
@@ -1381,8 +2644,8 @@ AngryLeliGame = {
         ctx.restore();
     },
 
-    drawObstacles(ctx) {
-        for (const ob of this.obstacles) {
+    drawObstacles(ctx, obstacles = this.obstacles) {
+        for (const ob of obstacles) {
             if (!ob.alive) continue;
 
             ctx.save();
@@ -1390,20 +2653,27 @@ AngryLeliGame = {
             ctx.shadowColor = '#d4b07a';
             ctx.shadowOffsetX = 2;
             ctx.shadowOffsetY = 4;
-            if (this.images.platform && this.imagesLoaded) {
-                ctx.drawImage(this.images.platform, ob.x, ob.y, ob.w, ob.h);
+            // Placed-only obstacles (editor) have no body yet
+            if (ob.body) {
+                ctx.translate(ob.body.x, ob.body.y);
+                ctx.rotate(ob.body.angle);
+            } else {
+                ctx.translate(ob.x + ob.w / 2, ob.y + ob.h / 2);
+            }
+            if (ob.material === 'wood' && this.images.platform && this.imagesLoaded) {
+                ctx.drawImage(this.images.platform, -ob.w / 2, -ob.h / 2, ob.w, ob.h);
             } else {
-                ctx.fillStyle = '#8b6a3d';
-                ctx.fillRect(ob.x, ob.y, ob.w, ob.h);
+                ctx.fillStyle = LevelFormat.MATERIALS[ob.material].color;
+                ctx.fillRect(-ob.w / 2, -ob.h / 2, ob.w, ob.h);
             }
             ctx.restore();
         }
     },
 
-    drawTargets(ctx) {
+    drawTargets(ctx, pigs = this.pigs) {
         if (!this.imagesLoaded) return;
 
-        for (const pig of this.pigs) {
+        for (const pig of pigs) {
             if (!pig.alive) continue;
 
             // Draw shadow first
@@ -1413,59 +2683,63 @@ AngryLeliGame = {
             ctx.shadowOffsetX = 5;
             ctx.shadowOffsetY = 5;
 
-            // Draw pig sprite using preloaded image
-            ctx.drawImage(this.images.pig, pig.x - pig.r * 2, pig.y - pig.r * 2, pig.r * 4, pig.r * 4);
+            // Draw pig sprite using preloaded image, rolling with its body
+            ctx.translate(pig.x, pig.y);
+            ctx.rotate(pig.angle || 0);
+            ctx.drawImage(this.images.pig, -pig.r * 2, -pig.r * 2, pig.r * 4, pig.r * 4);
 
             ctx.restore();
         }
     },
 
     drawBirds(ctx) {
-        const drawOne = (bird, isGhost) => {
-            ctx.save();
+        this.birds.forEach(b => this.drawBird(ctx, b, false));
 
-            // Apply ghost effect if needed
-            if (isGhost) {
-                ctx.globalAlpha = 0.5;
-            }
+        if (this.currentBird) {
+            this.drawBird(ctx, this.currentBird, !this.isDragging);
+        }
+    },
 
-            const radius = bird.r * 1.2;
-            const drawSize = radius * 2.4;
+    drawBird(ctx, bird, isGhost) {
+        const spec = LevelFormat.BIRDS[bird.type];
+        const sprite = this.images[`bird-${bird.type}`];
+        ctx.save();
 
-            ctx.translate(bird.x, bird.y);
-            ctx.shadowBlur = 10;
-            ctx.shadowColor = '#ff69b4';
-            ctx.shadowOffsetX = 5;
-            ctx.shadowOffsetY = 5;
+        // Apply ghost effect if needed
+        if (isGhost) {
+            ctx.globalAlpha = 0.5;
+        }
 
-            // Clip to circle mask
-            ctx.beginPath();
-            ctx.arc(0, 0, radius, 0, Math.PI * 2);
-            ctx.closePath();
-            ctx.clip();
+        const radius = bird.r * 1.2;
+        const drawSize = radius * 2.4;
 
-            if (this.imagesLoaded && this.images.bird) {
-                ctx.drawImage(this.images.bird, -drawSize / 2, -drawSize / 2, drawSize, drawSize);
-            } else {
-                ctx.fillStyle = '#ffb6c1';
-                ctx.fillRect(-drawSize / 2, -drawSize / 2, drawSize, drawSize);
-            }
+        ctx.translate(bird.x, bird.y);
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = spec.color;
+        ctx.shadowOffsetX = 5;
+        ctx.shadowOffsetY = 5;
 
-            // Border ring
-            ctx.beginPath();
-            ctx.arc(0, 0, radius, 0, Math.PI * 2);
-            ctx.strokeStyle = '#ff69b4';
-            ctx.lineWidth = 3;
-            ctx.stroke();
+        // Clip to circle mask
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.closePath();
+        ctx.clip();
 
-            ctx.restore();
-        };
+        if (this.imagesLoaded && sprite) {
+            ctx.drawImage(sprite, -drawSize / 2, -drawSize / 2, drawSize, drawSize);
+        } else {
+            ctx.fillStyle = spec.color;
+            ctx.fillRect(-drawSize / 2, -drawSize / 2, drawSize, drawSize);
+        }
 
-        this.birds.forEach(b => drawOne(b, false));
+        // Border ring
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = spec.color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
 
-        if (this.currentBird) {
-            drawOne(this.currentBird, !this.isDragging);
-        }
+        ctx.restore();
     },
 
     drawParticles(ctx) {
@@ -1491,13 +2765,21 @@ AngryLeliGame = {
         ctx.font = '16px Arial';
         ctx.textAlign = 'center';
         const x = canvas.width / 2;
-        ctx.fillText(`Birds Left: ${this.birdsRemaining + (this.currentBird ? 1 : 0)}`, x, 30);
-        ctx.fillText(`Wave: ${this.currentLevel + 1}`, x, 50);
+        ctx.fillText(`Birds Left: ${this.birdQueue.length + (this.currentBird ? 1 : 0)}`, x, 30);
+        ctx.fillText(`Level ${this.currentLevel + 1}: ${this.level.name}`, x, 50);
         ctx.restore();
+
+        // Upcoming birds in launch order, next on the left
+        const spacing = 28;
+        const startX = x - (this.birdQueue.length - 1) * spacing / 2;
+        this.birdQueue.forEach((type, i) => {
+            this.drawBird(ctx, { type, x: startX + i * spacing, y: 76, r: 9 }, false);
+        });
     }
 };
 
 AngryLeliGame.init();
+SceneManager.register('angry', AngryLeliGame);
 
 // Background drawing for Leli Poop (bathroom tiles)
 function drawBathroomBackground(ctx) {
@@ -1555,8 +2837,9 @@ function drawTileFloor(ctx) {
 function drawStars(ctx, dt) {
     starTick += dt;
     ctx.save();
+    const twinkle = Settings.get('reducedMotion') ? 0 : 0.25;
     for (const star of stars) {
-        const alpha = star.baseAlpha + Math.sin(star.twinkleOffset + starTick * star.twinkleSpeed * Math.PI * 2) * 0.25;
+        const alpha = star.baseAlpha + Math.sin(star.twinkleOffset + starTick * star.twinkleSpeed * Math.PI * 2) * twinkle;
         const clampedAlpha = Math.max(0, Math.min(1, alpha));
         ctx.fillStyle = `rgba(255,255,255,${clampedAlpha})`;
         ctx.beginPath();
@@ -1566,41 +2849,93 @@ function drawStars(ctx, dt) {
     ctx.restore();
 }
 
-// Main Loop
-function gameLoop(timestamp) {
-    if (isGameOver || !isGameStarted) return;
+// Leli Poop scene
+SceneManager.register('leli', {
+    screens: ['welcome-screen', 'tilt-calibration', 'game-over', 'leli-results'],
+
+    enter() {
+        document.getElementById('welcome-screen').classList.remove('hidden');
+    },
 
-    let dt = (timestamp - lastTime) / 1000;
-    lastTime = timestamp;
+    exit() {
+        isGameOver = false;
+    },
 
-    if (isNaN(dt)) dt = 0;
+    restart() {
+        resetGame();
+    },
 
-    // Clear canvas (simple dark background)
-    ctx.fillStyle = '#0a0a15';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    startRun() {
+        startGame();
+    },
 
-    // Star field backdrop
-    drawStars(ctx, dt);
+    applyInput(type, args) {
+        if (type === 't') {
+            analogSteer = args[0] / 100;
+            return;
+        }
+        if (type !== 'k') return;
+        const action = Object.keys(KEY_CODES).find(name => KEY_CODES[name] === args[0]);
+        if (action) keys[action] = args[1] === 1;
+    },
 
-    // Draw tile floor at bottom
-    drawTileFloor(ctx);
+    // Input actions (see input.js); held keys count before a run starts too
+    actions: {
+        moveLeft(pressed) {
+            setKey('moveLeft', pressed);
+            return true;
+        },
+        moveRight(pressed) {
+            setKey('moveRight', pressed);
+            return true;
+        },
+        moveLeft2(pressed) {
+            setKey('moveLeft2', pressed);
+            return true;
+        },
+        moveRight2(pressed) {
+            setKey('moveRight2', pressed);
+            return true;
+        }
+    },
 
-    // Update
-    player.update(dt);
-    spawner.update(dt);
-    projectiles.forEach(p => p.update(dt));
-    projectiles = projectiles.filter(p => !p.markedForDeletion);
+    update(dt) {
+        // Slow-motion only slows what is falling
+        const fallDt = side => isSlowed(side) ? dt * SLOW_MO_SCALE : dt;
+        updatePowerUps(dt);
+        players.forEach(player => player.update(dt));
+        spawners.forEach(spawner => spawner.update(dt));
+        projectiles.forEach(p => p.update(fallDt(p.side)));
+        applyMagnet(dt);
+        projectiles = projectiles.filter(p => !p.markedForDeletion);
+        powerUps.forEach(p => p.update(fallDt(p.side)));
+        powerUps = powerUps.filter(p => !p.markedForDeletion);
+
+        particles.forEach(p => p.update(dt));
+        particles = particles.filter(p => p.life > 0);
+
+        checkCollisions();
+        updateWave(dt);
+    },
 
-    particles.forEach(p => p.update(dt));
-    particles = particles.filter(p => p.life > 0);
+    draw(dt) {
+        // Clear canvas (simple dark background)
+        ctx.fillStyle = '#0a0a15';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    checkCollisions();
+        // Star field backdrop
+        drawStars(ctx, dt);
 
-    // Draw
-    player.draw(ctx);
-    spawner.draw(ctx);
-    projectiles.forEach(p => p.draw(ctx));
-    particles.forEach(p => p.draw(ctx));
+        // Draw tile floor at bottom
+        drawTileFloor(ctx);
 
-    requestAnimationFrame(gameLoop);
-}
+        drawSplitLine(ctx);
+        players.forEach(player => player.draw(ctx));
+        spawners.forEach(spawner => spawner.draw(ctx));
+        projectiles.forEach(p => p.draw(ctx));
+        powerUps.forEach(p => p.draw(ctx));
+        particles.forEach(p => p.draw(ctx));
+        drawLeliHud(ctx);
+        drawWaveBanner(ctx);
+    }
+});
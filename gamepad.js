@@ -0,0 +1,207 @@
+// Gamepad Input - controller support for every game and the menus
+// Polls navigator.getGamepads() on every SceneManager frame while a pad is
+// connected, just before the scene's fixed steps, and turns it into the same
+// input actions the keyboard and pointer trigger (input.js), so recordings and
+// replays work unchanged. Uses the standard mapping.
+//   Leli Poop: left stick / d-pad steers with analog speed
+//   Kuh Kayi Flap: A flaps
+//   Angry Leli: right stick pulls the sling, right trigger or A lets go, A fires abilities
+//   Menus: d-pad / left stick moves focus, A presses, B goes back, Start pauses
+
+const GamepadInput = {
+    BUTTONS: { A: 0, B: 1, RT: 7, START: 9, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 },
+    DEADZONE: 0.2, // stick travel ignored around the centre
+    PRESS_THRESHOLD: 0.5, // analog triggers count as pressed past this
+    MENU_STICK: 0.6, // stick travel that counts as a menu direction
+    // Input actions A and RT trigger; only the active game's respond
+    BUTTON_ACTIONS: { 0: ['flap', 'launch'], 7: ['launch'] },
+    NOTICE_TIME: 2500, // ms the connect/disconnect notice stays up
+
+    index: null, // navigator.getGamepads() slot of the pad in use
+    previous: {}, // button and direction states from the last poll
+    steer: 0, // last analog steer this pad sent to Leli Poop
+    aiming: false, // holding an Angry Leli bird with the right stick
+    stopPolling: null, // unsubscribes from SceneManager frames
+    noticeTimer: null,
+
+    init: function () {
+        if (!navigator.getGamepads) return;
+        window.addEventListener('gamepadconnected', (e) => this.connect(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => this.disconnect(e.gamepad));
+
+        // A pad may already be known, e.g. after a reload
+        const pad = Array.from(navigator.getGamepads()).find(p => p && p.connected);
+        if (pad) this.connect(pad);
+    },
+
+    connect: function (pad) {
+        if (this.index !== null) return; // one pad at a time
+        this.index = pad.index;
+        this.previous = {};
+        this.showNotice('🎮 Controller connected');
+        if (!this.stopPolling) this.stopPolling = SceneManager.onFrame(() => this.poll());
+    },
+
+    disconnect: function (pad) {
+        if (pad.index !== this.index) return;
+        this.releaseAll();
+        this.index = null;
+        if (this.stopPolling) {
+            this.stopPolling();
+            this.stopPolling = null;
+        }
+        // Don't let a run carry on without its controller
+        PauseMenu.open();
+        this.showNotice('🎮 Controller disconnected');
+
+        const other = Array.from(navigator.getGamepads()).find(p => p && p.connected);
+        if (other) this.connect(other);
+    },
+
+    // Let go of anything the pad was holding
+    releaseAll: function () {
+        if (this.steer) {
+            setSteer(0);
+            this.steer = 0;
+        }
+        if (this.aiming) this.cancelAim();
+    },
+
+    poll: function () {
+        const pad = navigator.getGamepads()[this.index];
+        if (!pad) return;
+
+        const axes = pad.axes;
+        const state = {};
+        pad.buttons.forEach((button, i) => {
+            state[i] = button.pressed || button.value > this.PRESS_THRESHOLD;
+        });
+        state.up = state[this.BUTTONS.UP] || axes[1] < -this.MENU_STICK;
+        state.down = state[this.BUTTONS.DOWN] || axes[1] > this.MENU_STICK;
+        state.left = state[this.BUTTONS.LEFT] || axes[0] < -this.MENU_STICK;
+        state.right = state[this.BUTTONS.RIGHT] || axes[0] > this.MENU_STICK;
+
+        const previous = this.previous;
+        const justPressed = (key) => state[key] && !previous[key];
+        this.previous = state;
+
+        if (justPressed(this.BUTTONS.START)) {
+            Input.trigger('pause', true);
+            return;
+        }
+
+        if (!SceneManager.running) {
+            this.releaseAll();
+            this.navigateMenu(justPressed);
+            return;
+        }
+
+        Object.keys(this.BUTTON_ACTIONS).forEach(button => {
+            if (!justPressed(button)) return;
+            this.BUTTON_ACTIONS[button].forEach(action => Input.trigger(action, true));
+        });
+
+        if (SceneManager.isActive('leli')) {
+            this.steerToilet(pad, state);
+        } else if (SceneManager.isActive('angry')) {
+            this.aimSling(pad);
+        }
+    },
+
+    // Rescale so the stick reads 0 at the deadzone edge and 1 at full tilt
+    applyDeadzone: function (value) {
+        const size = Math.abs(value);
+        if (size < this.DEADZONE) return 0;
+        return Math.sign(value) * Math.min(1, (size - this.DEADZONE) / (1 - this.DEADZONE));
+    },
+
+    steerToilet: function (pad, state) {
+        let amount = this.applyDeadzone(pad.axes[0]);
+        if (state[this.BUTTONS.LEFT]) amount = -1;
+        if (state[this.BUTTONS.RIGHT]) amount = 1;
+        // Only send changes, so an idle pad never overrides tilt steering
+        if (amount === this.steer) return;
+        this.steer = amount;
+        setSteer(amount);
+    },
+
+    aimSling: function (pad) {
+        const game = AngryLeliGame;
+        if (!game.acceptsInput()) return;
+
+        const x = this.applyDeadzone(pad.axes[2]);
+        const y = this.applyDeadzone(pad.axes[3]);
+        const deflected = x !== 0 || y !== 0;
+
+        if (!this.aiming) {
+            if (!deflected || game.isDragging || !game.currentBird) return;
+            this.aiming = Input.trigger('aim', 'd', game.slingAnchor.x, game.slingAnchor.y);
+            if (!this.aiming) return;
+        }
+
+        if (!game.isDragging) {
+            // Launched by a button this frame
+            this.aiming = false;
+        } else if (!deflected) {
+            // Letting the stick go puts the bird back without firing
+            this.cancelAim();
+        } else {
+            Input.trigger('aim', 'm', game.slingAnchor.x + x * game.maxPull, game.slingAnchor.y + y * game.maxPull);
+        }
+    },
+
+    cancelAim: function () {
+        const game = AngryLeliGame;
+        this.aiming = false;
+        if (!game.isDragging || !game.acceptsInput()) return;
+        Input.trigger('aim', 'm', game.slingAnchor.x, game.slingAnchor.y);
+        Input.trigger('aim', 'u'); // too short to launch, so it snaps back
+    },
+
+    // ---------- Menus ----------
+
+    navigateMenu: function (justPressed) {
+        if (justPressed('up') || justPressed('left')) this.moveFocus(-1);
+        if (justPressed('down') || justPressed('right')) this.moveFocus(1);
+
+        if (justPressed(this.BUTTONS.A)) {
+            const focused = this.getControls().find(el => el === document.activeElement);
+            if (focused) {
+                focused.click();
+            } else {
+                this.moveFocus(0);
+            }
+        }
+        if (justPressed(this.BUTTONS.B)) {
+            const back = this.getControls().find(el => el.classList.contains('back-btn'));
+            if (back) back.click();
+        }
+    },
+
+    // Buttons and inputs on screen right now, in page order
+    getControls: function () {
+        return Array.from(document.querySelectorAll('#ui-layer button, #ui-layer input, #ui-layer select'))
+            .filter(el => !el.disabled && !el.closest('.hidden') && el.type !== 'file');
+    },
+
+    moveFocus: function (step) {
+        const controls = this.getControls();
+        if (!controls.length) return;
+        const current = controls.indexOf(document.activeElement);
+        const next = current === -1 ? 0 : (current + step + controls.length) % controls.length;
+
+        document.querySelectorAll('.gamepad-focus').forEach(el => el.classList.remove('gamepad-focus'));
+        controls[next].classList.add('gamepad-focus');
+        controls[next].focus();
+    },
+
+    showNotice: function (text) {
+        const notice = document.getElementById('gamepad-notice');
+        notice.textContent = text;
+        notice.classList.remove('hidden');
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => notice.classList.add('hidden'), this.NOTICE_TIME);
+    }
+};
+
+GamepadInput.init();
@@ -0,0 +1,276 @@
+// Input - one place that turns physical input into named actions
+// Keyboard keys (rebindable, saved in localStorage), Leli Poop's touch halves,
+// canvas pointer/taps and the gamepad all end up as Input.trigger(action, ...).
+// Only the active scene's `actions` hooks receive them (see scenes.js), so a key
+// held in one game can never steer, flap or fire in another.
+//   moveLeft / moveRight (pressed)  - Leli Poop (player one, or either key set solo)
+//   moveLeft2 / moveRight2 (pressed) - Leli Poop player two
+//   flap (pressed)                  - Kuh Kayi Flap
+//   aim (phase, x, y)               - Angry Leli: 'd' grab, 'm' pull, 'u' let go
+//   launch (pressed)                - Angry Leli: let go of the sling, or fire the ability mid-air
+//   pause (pressed)                 - every game, handled by the pause menu
+// Analog steering (tilt, gamepad stick) stays on setSteer() in game.js.
+
+const Input = {
+    STORAGE_KEY: 'chesa-keybindings-v1',
+    SLOTS: 2, // keys per action
+
+    // game: the scene whose actions use it (null = every scene). Keys only
+    // clash with actions of the same game or of every game.
+    // keys: null for actions that come from the pointer or stick only
+    ACTIONS: {
+        moveLeft: { label: '⬅️ Leli Poop: left', game: 'leli', keys: ['ArrowLeft'] },
+        moveRight: { label: '➡️ Leli Poop: right', game: 'leli', keys: ['ArrowRight'] },
+        moveLeft2: { label: '⬅️ Leli Poop P2: left', game: 'leli', keys: ['KeyA'] },
+        moveRight2: { label: '➡️ Leli Poop P2: right', game: 'leli', keys: ['KeyD'] },
+        flap: { label: '🐦 Kuh Kayi Flap: flap', game: 'flappy', keys: ['Space', 'ArrowUp'] },
+        aim: { label: '🎯 Angry Leli: aim', game: 'angry', keys: null },
+        launch: { label: '🚀 Angry Leli: launch / ability', game: 'angry', keys: ['Space', 'Enter'] },
+        pause: { label: '⏸️ Pause', game: null, keys: ['KeyP', 'Escape'] }
+    },
+
+    bindings: null, // { action: [codes] }
+    held: {}, // action -> { scene, codes } while one of its keys is down
+    handlers: {}, // actions handled outside the scenes (pause)
+    capturing: null, // callback waiting for the next key (rebinding)
+    schemeOverride: null, // Leli Poop scheme used instead of the saved one this run
+
+    // The Leli Poop control scheme in use right now
+    controlScheme: function () {
+        return this.schemeOverride || Settings.get('controlScheme');
+    },
+
+    init: function () {
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+        window.addEventListener('keyup', (e) => this.onKeyUp(e));
+        // Key-ups are lost while the window is in the background
+        window.addEventListener('blur', () => this.releaseKeys());
+
+        // Leli Poop: the screen halves steer
+        window.addEventListener('touchstart', (e) => {
+            if (this.controlScheme() !== 'touch') return;
+            const left = e.touches[0].clientX < window.innerWidth / 2;
+            this.trigger(left ? 'moveRight' : 'moveLeft', false);
+            this.trigger(left ? 'moveLeft' : 'moveRight', true);
+        }, { passive: false });
+        window.addEventListener('touchend', () => {
+            if (this.controlScheme() !== 'touch') return;
+            this.trigger('moveLeft', false);
+            this.trigger('moveRight', false);
+        });
+
+        // The canvas: a tap flaps, a drag works the sling
+        const canvas = document.getElementById('gameCanvas');
+        canvas.addEventListener('pointerdown', (e) => {
+            const pos = this.canvasPoint(e);
+            if (this.trigger('flap', true) || this.trigger('aim', 'd', pos.x, pos.y)) e.preventDefault();
+        }, { passive: false });
+        canvas.addEventListener('pointermove', (e) => {
+            const pos = this.canvasPoint(e);
+            if (this.trigger('aim', 'm', pos.x, pos.y)) e.preventDefault();
+        }, { passive: false });
+        ['pointerup', 'pointerleave'].forEach(event => {
+            canvas.addEventListener(event, (e) => {
+                if (this.trigger('aim', 'u')) e.preventDefault();
+            }, { passive: false });
+        });
+        // Stop taps on the canvas from scrolling, zooming or sending a click
+        canvas.addEventListener('touchstart', (e) => {
+            if (SceneManager.running) e.preventDefault();
+        }, { passive: false });
+
+        // Whatever a scene was holding is let go when it is left
+        let scene = SceneManager.current;
+        SceneManager.onChange(() => {
+            if (SceneManager.current === scene) return;
+            scene = SceneManager.current;
+            this.releaseKeys();
+        });
+    },
+
+    // Handle an action that belongs to no single scene
+    handle: function (action, handler) {
+        this.handlers[action] = handler;
+    },
+
+    // Send an action to the active scene. Returns true when something used it.
+    trigger: function (action, ...args) {
+        return this.dispatch(SceneManager.current, action, args);
+    },
+
+    dispatch: function (sceneName, action, args) {
+        if (this.handlers[action]) return this.handlers[action](...args) === true;
+        const scene = SceneManager.get(sceneName);
+        const handler = scene && scene.actions && scene.actions[action];
+        return handler ? handler.apply(scene, args) === true : false;
+    },
+
+    // Pointer position in canvas pixels
+    canvasPoint: function (e) {
+        const canvas = document.getElementById('gameCanvas');
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    },
+
+    // ---------- Keyboard ----------
+
+    onKeyDown: function (e) {
+        if (this.capturing) {
+            const done = this.capturing;
+            this.capturing = null;
+            e.preventDefault();
+            done(e.code === 'Escape' ? null : e.code);
+            return;
+        }
+        // Typing initials or nudging a slider isn't playing
+        if (e.target.matches && e.target.matches('input, select, textarea')) return;
+
+        this.actionsForKey(e.code).forEach(action => {
+            const held = this.held[action];
+            if (held) {
+                // Auto-repeat, or a second key for the same action
+                if (!held.codes.includes(e.code)) held.codes.push(e.code);
+                e.preventDefault();
+                return;
+            }
+            this.held[action] = { scene: SceneManager.current, codes: [e.code] };
+            // Unused keys keep their browser meaning (Space on a focused button)
+            if (this.trigger(action, true)) e.preventDefault();
+        });
+    },
+
+    onKeyUp: function (e) {
+        Object.keys(this.held).forEach(action => {
+            const held = this.held[action];
+            if (!held.codes.includes(e.code)) return;
+            held.codes = held.codes.filter(code => code !== e.code);
+            if (held.codes.length) return;
+            delete this.held[action];
+            this.dispatch(held.scene, action, [false]);
+        });
+    },
+
+    // Let go of every held key, telling the scene that saw it pressed
+    releaseKeys: function () {
+        const held = this.held;
+        this.held = {};
+        Object.keys(held).forEach(action => this.dispatch(held[action].scene, action, [false]));
+    },
+
+    // Actions the key is bound to that the active scene can use
+    actionsForKey: function (code) {
+        const bindings = this.load();
+        return Object.keys(this.ACTIONS).filter(action => {
+            const game = this.ACTIONS[action].game;
+            return bindings[action].includes(code) && (game === null || game === SceneManager.current);
+        });
+    },
+
+    // ---------- Bindings ----------
+
+    defaultBindings: function () {
+        const bindings = {};
+        Object.keys(this.ACTIONS).forEach(action => {
+            bindings[action] = (this.ACTIONS[action].keys || []).slice();
+        });
+        return bindings;
+    },
+
+    load: function () {
+        if (this.bindings) return this.bindings;
+
+        this.bindings = this.defaultBindings();
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : {};
+            const saved = Object.keys(this.ACTIONS).filter(action => {
+                return this.ACTIONS[action].keys && parsed && Array.isArray(parsed[action]);
+            });
+            saved.forEach(action => {
+                this.bindings[action] = parsed[action].filter(code => typeof code === 'string').slice(0, this.SLOTS);
+            });
+            // Actions added since the bindings were saved give up defaults already in use
+            Object.keys(this.ACTIONS).forEach(action => {
+                if (saved.includes(action)) return;
+                this.bindings[action] = this.bindings[action].filter(code => {
+                    return !saved.some(other => this.clashes(action, other) && this.bindings[other].includes(code));
+                });
+            });
+        } catch (e) {
+            console.warn('Could not read key bindings:', e);
+        }
+        return this.bindings;
+    },
+
+    save: function () {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Could not save key bindings:', e);
+        }
+    },
+
+    // Can two actions fire in the same scene, so must not share a key?
+    clashes: function (action, other) {
+        const game = this.ACTIONS[action].game;
+        const otherGame = this.ACTIONS[other].game;
+        return game === null || otherGame === null || game === otherGame;
+    },
+
+    getKeys: function (action) {
+        return this.load()[action];
+    },
+
+    // Put a key in one slot of an action, taking it off any action it would clash with
+    bind: function (action, slot, code) {
+        const bindings = this.load();
+        const keys = bindings[action].slice();
+        keys[Math.min(slot, keys.length)] = code;
+
+        Object.keys(bindings).forEach(other => {
+            if (other !== action && this.clashes(action, other)) {
+                bindings[other] = bindings[other].filter(key => key !== code);
+            }
+        });
+        bindings[action] = keys.filter((key, i) => keys.indexOf(key) === i);
+        this.releaseKeys();
+        this.save();
+    },
+
+    unbind: function (action, slot) {
+        this.load()[action].splice(slot, 1);
+        this.releaseKeys();
+        this.save();
+    },
+
+    resetBindings: function () {
+        this.bindings = this.defaultBindings();
+        this.releaseKeys();
+        this.save();
+    },
+
+    // Pass the next key press to done(code) instead of the games; Esc gives null
+    captureKey: function (done) {
+        this.releaseKeys();
+        this.capturing = done;
+    },
+
+    cancelCapture: function () {
+        this.capturing = null;
+    },
+
+    // 'KeyA' -> 'A', 'ArrowLeft' -> '←', 'Digit1' -> '1'
+    keyLabel: function (code) {
+        const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+        if (arrows[code]) return arrows[code];
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code === 'Escape') return 'Esc';
+        return code;
+    }
+};
+
+Input.init();
@@ -0,0 +1,263 @@
+// Angry Leli levels - JSON level format, validator and loader
+//
+// Level files live in levels/ and are listed in levels/manifest.json.
+// Coordinates are relative so a level fits any screen:
+//   x - pixels right of the level origin (placed to the right of the sling)
+//   y - pixels from the ground line, negative is above the ground
+// Pigs are positioned by their centre, obstacles by their top-left corner.
+// Everything is simulated, so pieces should rest on the ground or each other.
+//
+// {
+//   "version": 1,
+//   "name": "Two Pillars",
+//   "birds": ["leli", "triple", "bomb"], // bird queue in launch order, or a
+//                                        // count of plain birds such as 5
+//   "stars": [400, 1400, 1900],         // scores needed for 1, 2 and 3 stars
+//   "pigs": [{ "x": 0, "y": -16, "r": 16 }],                     // r optional
+//   "obstacles": [{ "x": -60, "y": -18, "w": 220, "h": 18,
+//                   "health": 5, "material": "wood" }]           // health, material optional
+// }
+
+const LevelFormat = {
+    VERSION: 1,
+
+    // density and friction feed the physics; toughness divides damage taken
+    MATERIALS: {
+        wood: { color: '#8b6a3d', density: 1, friction: 0.6, toughness: 1 },
+        stone: { color: '#7d7d8c', density: 2.5, friction: 0.8, toughness: 2.5 },
+        glass: { color: 'rgba(160, 220, 255, 0.55)', density: 0.8, friction: 0.3, toughness: 0.5 }
+    },
+
+    // Bird roster. ability is what a tap does mid-flight (see AngryLeliGame.useAbility)
+    DEFAULT_BIRD: 'leli',
+    BIRDS: {
+        leli: { name: 'Leli', radius: 18, mass: 3000, sprite: 'assets/leli-angry.png', color: '#ff69b4', ability: null },
+        triple: { name: 'Triple Leli', radius: 13, mass: 1600, sprite: 'assets/leli.png', color: '#4fc3f7', ability: 'split' },
+        dash: { name: 'Kuhkayi', radius: 16, mass: 2600, sprite: 'assets/kuhkayi.png', color: '#ffd54f', ability: 'dash' },
+        bomb: { name: 'Poop Bomb', radius: 22, mass: 4500, sprite: 'assets/angry-bird-sprite.svg', color: '#8d6e63', ability: 'bomb' }
+    },
+
+    // One star for clearing the level, and one more per threshold reached after that
+    rateStars: function (thresholds, score) {
+        return Math.max(1, thresholds.filter(t => score >= t).length);
+    },
+
+    // Expands a level's birds field into the queue of bird types
+    birdQueue: function (birds, fallbackCount) {
+        if (Array.isArray(birds)) return birds.slice();
+        return new Array(birds || fallbackCount).fill(this.DEFAULT_BIRD);
+    },
+
+    // Returns a list of human-readable problems; empty when the level is valid
+    validate: function (level) {
+        const errors = [];
+        const isNumber = (v) => typeof v === 'number' && isFinite(v);
+        const isPositive = (v) => isNumber(v) && v > 0;
+
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            return ['level must be a JSON object'];
+        }
+
+        if (level.version !== this.VERSION) {
+            errors.push(`version must be ${this.VERSION} (got ${JSON.stringify(level.version)})`);
+        }
+        if (level.name !== undefined && typeof level.name !== 'string') {
+            errors.push('name must be a string');
+        }
+        if (Array.isArray(level.birds)) {
+            if (level.birds.length === 0) errors.push('birds must list at least one bird');
+            level.birds.forEach((type, i) => {
+                if (!this.BIRDS[type]) {
+                    errors.push(`birds[${i}] must be one of: ${Object.keys(this.BIRDS).join(', ')}`);
+                }
+            });
+        } else if (level.birds !== undefined && !(Number.isInteger(level.birds) && level.birds > 0)) {
+            errors.push('birds must be a whole number of at least 1 or a list of bird types');
+        }
+
+        if (level.stars !== undefined) {
+            const stars = level.stars;
+            if (!Array.isArray(stars) || stars.length !== 3 || !stars.every(isPositive)) {
+                errors.push('stars must be a list of three positive scores');
+            } else if (!(stars[0] < stars[1] && stars[1] < stars[2])) {
+                errors.push('stars thresholds must increase (1 star < 2 stars < 3 stars)');
+            }
+        }
+
+        if (!Array.isArray(level.pigs) || level.pigs.length === 0) {
+            errors.push('pigs must be a list with at least one pig');
+        } else {
+            level.pigs.forEach((pig, i) => {
+                const at = `pigs[${i}]`;
+                if (!pig || typeof pig !== 'object') {
+                    errors.push(`${at} must be an object`);
+                    return;
+                }
+                if (!isNumber(pig.x)) errors.push(`${at}.x must be a number`);
+                if (!isNumber(pig.y)) errors.push(`${at}.y must be a number`);
+                if (pig.r !== undefined && !isPositive(pig.r)) errors.push(`${at}.r must be a positive number`);
+            });
+        }
+
+        if (level.obstacles !== undefined && !Array.isArray(level.obstacles)) {
+            errors.push('obstacles must be a list');
+        } else {
+            (level.obstacles || []).forEach((ob, i) => {
+                const at = `obstacles[${i}]`;
+                if (!ob || typeof ob !== 'object') {
+                    errors.push(`${at} must be an object`);
+                    return;
+                }
+                if (!isNumber(ob.x)) errors.push(`${at}.x must be a number`);
+                if (!isNumber(ob.y)) errors.push(`${at}.y must be a number`);
+                if (!isPositive(ob.w)) errors.push(`${at}.w must be a positive number`);
+                if (!isPositive(ob.h)) errors.push(`${at}.h must be a positive number`);
+                if (ob.health !== undefined && !isPositive(ob.health)) {
+                    errors.push(`${at}.health must be a positive number`);
+                }
+                if (ob.material !== undefined && !this.MATERIALS[ob.material]) {
+                    errors.push(`${at}.material must be one of: ${Object.keys(this.MATERIALS).join(', ')}`);
+                }
+            });
+        }
+
+        return errors;
+    }
+};
+
+const LevelLoader = {
+    MANIFEST: 'levels/manifest.json',
+    levels: [],
+    errors: [],
+    ready: null,
+
+    // Fetches every level once; later calls share the same promise. A load that
+    // got no levels at all (offline, say) is forgotten, so the next call retries.
+    // An invalid file among good ones is reported once and not refetched.
+    loadAll: function () {
+        if (!this.ready) {
+            this.ready = this.fetchLevels().then(levels => {
+                if (!levels.length) this.ready = null;
+                return levels;
+            });
+        }
+        return this.ready;
+    },
+
+    // Builds the new list on the side, so the current one stays readable
+    // (get, count, level progress) while a retry is in flight
+    fetchLevels: async function () {
+        const levels = [];
+        const errors = [];
+        const finish = () => {
+            this.levels = levels;
+            this.errors = errors;
+            errors.forEach(error => console.warn(`Level error - ${error}`));
+            return levels;
+        };
+
+        let files = [];
+        try {
+            const manifest = await this.fetchJson(this.MANIFEST);
+            files = Array.isArray(manifest.levels) ? manifest.levels : [];
+        } catch (e) {
+            errors.push(`Could not load ${this.MANIFEST}: ${e.message}`);
+            return finish();
+        }
+
+        const results = await Promise.all(files.map(async (file) => {
+            try {
+                return { file, level: await this.fetchJson(`levels/${file}`) };
+            } catch (e) {
+                return { file, error: e.message };
+            }
+        }));
+
+        results.forEach(({ file, level, error }) => {
+            const problems = error ? [error] : LevelFormat.validate(level);
+            if (problems.length) {
+                problems.forEach(problem => errors.push(`${file}: ${problem}`));
+                return;
+            }
+            levels.push({ ...level, file });
+        });
+
+        return finish();
+    },
+
+    fetchJson: async function (url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    },
+
+    count: function () {
+        return this.levels.length;
+    },
+
+    // Past the last level the list starts over
+    get: function (index) {
+        if (!this.levels.length) return null;
+        return this.levels[index % this.levels.length];
+    }
+};
+
+// Per-level progress for Angry Leli, keyed by level file so reordering the
+// manifest keeps earned stars. A level unlocks once the one before it is cleared.
+const LevelProgress = {
+    STORAGE_KEY: 'chesa-angry-progress-v1',
+
+    records: null,
+
+    load: function () {
+        if (this.records) return this.records;
+
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : {};
+            this.records = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (e) {
+            console.warn('Could not read level progress:', e);
+            this.records = {};
+        }
+        return this.records;
+    },
+
+    save: function () {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.records));
+        } catch (e) {
+            console.warn('Could not save level progress:', e);
+        }
+    },
+
+    // { stars, score } for a cleared level, or null
+    get: function (file) {
+        return this.load()[file] || null;
+    },
+
+    getStars: function (file) {
+        const record = this.get(file);
+        return record ? record.stars : 0;
+    },
+
+    isUnlocked: function (index) {
+        if (index === 0) return true;
+        const previous = LevelLoader.levels[index - 1];
+        return !!previous && this.getStars(previous.file) > 0;
+    },
+
+    // Keeps the best stars and score separately. Returns true if either improved.
+    record: function (file, stars, score) {
+        const previous = this.get(file) || { stars: 0, score: 0 };
+        const improved = stars > previous.stars || score > previous.score;
+        if (improved) {
+            this.load()[file] = {
+                stars: Math.max(stars, previous.stars),
+                score: Math.max(score, previous.score)
+            };
+            this.save();
+        }
+        return improved;
+    }
+};
@@ -0,0 +1,161 @@
+// Mixer - the audio graph every sound effect and note goes through
+// SFX bus and music bus -> master bus -> compressor -> speakers. The bus
+// volumes come from the settings panel; loud moments duck the music briefly.
+//
+// Recorded sounds: assets/sounds/manifest.json lists sound sprites, audio
+// files cut into named regions (sfx.wav holds splat and boom). A sound whose
+// sample decoded plays it; every other sound, or one whose file hasn't loaded
+// or failed to, keeps its synthesized version in SoundManager (game.js).
+//
+// {
+//   "sprites": [
+//     { "file": "sfx.mp3", "sounds": { "splat": [0, 0.25], "coin": [0.5, 0.3] } }
+//   ]                                  // [start, duration] in seconds
+// }
+
+const Mixer = {
+    MANIFEST: 'assets/sounds/manifest.json',
+    DUCK_LEVEL: 0.35, // share of the music volume left while ducked
+    DUCK_TIME: 1.2, // seconds until the music is back up
+    DUCK_SOUNDS: ['boom', 'gameOver'],
+    // At most `max` voices of a sound at once; more are dropped instead of
+    // piling up and clipping. length: seconds a synthesized voice lasts.
+    VOICE_LIMITS: {
+        splat: { max: 3, length: 0.2 },
+        poop: { max: 3, length: 0.5 },
+        coin: { max: 2, length: 0.25 }
+    },
+
+    ctx: null,
+    master: null,
+    compressor: null,
+    sfx: null,
+    music: null,
+    samples: {}, // name -> { buffer, start, duration }
+    voices: {}, // name -> end times of the voices still sounding
+    errors: [],
+    ready: null,
+
+    // Build the graph on a new audio context
+    connect: function (ctx) {
+        this.ctx = ctx;
+        this.compressor = ctx.createDynamicsCompressor();
+        this.compressor.threshold.value = -12;
+        this.compressor.knee.value = 10;
+        this.compressor.ratio.value = 4;
+        this.compressor.attack.value = 0.003;
+        this.compressor.release.value = 0.25;
+        this.compressor.connect(ctx.destination);
+
+        this.master = ctx.createGain();
+        this.master.connect(this.compressor);
+        this.sfx = ctx.createGain();
+        this.sfx.connect(this.master);
+        this.music = ctx.createGain();
+        this.music.connect(this.master);
+        this.applyVolumes();
+
+        this.loadSamples();
+    },
+
+    // Setting value of a bus: 'master', 'sfx' or 'music'. Muting zeroes the master.
+    volume: function (bus) {
+        if (bus === 'master') return Settings.get('muted') ? 0 : Settings.get('masterVolume');
+        return this.volume('master') * Settings.get(bus === 'sfx' ? 'sfxVolume' : 'musicVolume');
+    },
+
+    applyVolumes: function () {
+        if (!this.ctx) return;
+        this.master.gain.value = this.volume('master');
+        this.sfx.gain.value = Settings.get('sfxVolume');
+        this.music.gain.cancelScheduledValues(this.ctx.currentTime);
+        this.music.gain.value = Settings.get('musicVolume');
+    },
+
+    // Dip the music under a loud sound effect
+    duck: function () {
+        const now = this.ctx.currentTime;
+        const gain = this.music.gain;
+        const full = Settings.get('musicVolume');
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(full * this.DUCK_LEVEL, now);
+        gain.linearRampToValueAtTime(full, now + this.DUCK_TIME);
+    },
+
+    // Play a named sound effect: its sample if one loaded, else synth()
+    play: function (name, synth) {
+        if (!this.claimVoice(name)) return;
+        if (this.DUCK_SOUNDS.includes(name)) this.duck();
+        if (!this.playSample(name)) synth();
+    },
+
+    // Whether another voice of the sound may start now
+    claimVoice: function (name) {
+        const limit = this.VOICE_LIMITS[name];
+        if (!limit) return true;
+
+        const now = this.ctx.currentTime;
+        const voices = (this.voices[name] || []).filter(end => end > now);
+        this.voices[name] = voices;
+        if (voices.length >= limit.max) return false;
+
+        const sample = this.samples[name];
+        voices.push(now + (sample ? sample.duration : limit.length));
+        return true;
+    },
+
+    playSample: function (name) {
+        const sample = this.samples[name];
+        if (!sample) return false;
+
+        const source = this.ctx.createBufferSource();
+        source.buffer = sample.buffer;
+        source.connect(this.sfx);
+        source.start(0, sample.start, sample.duration);
+        return true;
+    },
+
+    // ---------- Samples ----------
+
+    // Fetches and decodes every sprite once; later calls share the same promise
+    loadSamples: function () {
+        if (!this.ready) {
+            this.ready = this.fetchSprites();
+        }
+        return this.ready;
+    },
+
+    fetchSprites: async function () {
+        let sprites = [];
+        try {
+            const response = await fetch(this.MANIFEST);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const manifest = await response.json();
+            sprites = Array.isArray(manifest.sprites) ? manifest.sprites : [];
+        } catch (e) {
+            this.errors.push(`Could not load ${this.MANIFEST}: ${e.message}`);
+        }
+
+        await Promise.all(sprites.map(async (sprite) => {
+            try {
+                const response = await fetch(`assets/sounds/${sprite.file}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const buffer = await this.ctx.decodeAudioData(await response.arrayBuffer());
+                Object.keys(sprite.sounds || {}).forEach(name => {
+                    const [start, duration] = sprite.sounds[name];
+                    this.samples[name] = { buffer, start, duration };
+                });
+            } catch (e) {
+                // Its sounds stay synthesized
+                this.errors.push(`${sprite.file}: ${e.message}`);
+            }
+        }));
+
+        this.errors.forEach(error => console.warn(`Sound error - ${error}`));
+        return this.samples;
+    }
+};
+
+Settings.onChange(key => {
+    if (['muted', 'masterVolume', 'sfxVolume', 'musicVolume'].includes(key)) Mixer.applyVolumes();
+});
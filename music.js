@@ -0,0 +1,301 @@
+// Music - a small chiptune sequencer on the shared audioCtx (game.js)
+// Every scene has a theme: a chord loop plus step patterns for a few layers.
+// A scheduler looks a little ahead and books notes on the audio clock, the way
+// SoundManager.playGameOver books its note table. Game events raise the
+// intensity, which speeds the tempo up and brings in more layers. Themes
+// crossfade on scene changes and everything goes through the music bus.
+// The menu keeps the project's theme song: a theme with a `recording` streams
+// that file into the music bus instead, and falls back to its layers when the
+// file can't be played.
+// Patterns are 16 steps per bar: a number is semitones above the bar's chord
+// root, '.' is a rest. Drum steps: k kick, s snare, h hat.
+
+const Music = {
+    LOOKAHEAD: 0.12, // seconds of notes booked ahead of the audio clock
+    TICK_MS: 25, // how often the scheduler runs
+    FADE: 1.2, // seconds a crossfade takes
+    STEPS: 16, // steps per bar
+
+    // Which theme each scene plays; scenes not listed (the editor) are silent
+    SCENE_THEMES: { menu: 'menu', leli: 'leli', flappy: 'flappy', angry: 'angry' },
+
+    // root: Hz of the chord roots' reference note. tempo: [calm, full intensity] BPM.
+    // chords: semitones above root, one per bar. from: intensity a layer joins at.
+    THEMES: {
+        menu: {
+            recording: 'assets/flintastek.mp3',
+            root: 220, tempo: [96, 96], chords: [0, -4, 3, -2],
+            layers: [
+                { wave: 'triangle', volume: 0.35, octave: -1, from: 0, steps: '0 . . . 0 . 7 . 0 . . . 0 . 7 .' },
+                { wave: 'square', volume: 0.06, octave: 1, from: 0, steps: '0 4 7 12 0 4 7 12 0 4 7 12 0 4 7 12' },
+                { wave: 'square', volume: 0.09, octave: 1, from: 0, steps: '12 . . 11 12 . 7 . . . 4 . 7 . . .' },
+                { drums: true, volume: 0.25, from: 0, steps: 'k . . . h . . . k . k . h . . .' }
+            ]
+        },
+        leli: {
+            root: 261.63, tempo: [112, 150], chords: [0, 5, -3, 7],
+            layers: [
+                { wave: 'triangle', volume: 0.4, octave: -1, from: 0, steps: '0 . 0 . 12 . 0 . 0 . 0 . 12 . 7 .' },
+                { drums: true, volume: 0.3, from: 0, steps: 'k . . . s . . . k . k . s . . .' },
+                { wave: 'square', volume: 0.05, octave: 1, from: 0.25, steps: '0 7 12 7 0 7 12 7 0 7 12 7 0 7 12 7' },
+                { wave: 'square', volume: 0.09, octave: 1, from: 0.5, steps: '7 . 9 . 12 . . 9 7 . 4 . 7 . . .' },
+                { drums: true, volume: 0.15, from: 0.75, steps: 'h h . h h h . h h h . h h h . h' }
+            ]
+        },
+        flappy: {
+            root: 293.66, tempo: [120, 160], chords: [0, 0, 5, 7],
+            layers: [
+                { wave: 'triangle', volume: 0.4, octave: -1, from: 0, steps: '0 . . 0 . . 7 . 0 . . 0 . . 5 .' },
+                { wave: 'square', volume: 0.08, octave: 1, from: 0, steps: '12 . 16 . 19 . 16 . 12 . 16 . 19 . 24 .' },
+                { drums: true, volume: 0.3, from: 0.2, steps: 'k . h . s . h . k . h . s . h h' },
+                { wave: 'square', volume: 0.05, octave: 2, from: 0.5, steps: '0 4 7 4 0 4 7 4 0 4 7 4 0 4 7 4' },
+                { wave: 'sawtooth', volume: 0.04, octave: 0, from: 0.8, steps: '7 . . . 9 . . . 12 . . . 11 . . .' }
+            ]
+        },
+        angry: {
+            root: 164.81, tempo: [100, 136], chords: [0, -4, -2, -5],
+            layers: [
+                { wave: 'sawtooth', volume: 0.12, octave: -1, from: 0, steps: '0 0 . 0 0 . 0 . 0 0 . 0 3 . 2 .' },
+                { drums: true, volume: 0.35, from: 0, steps: 'k . . k s . . . k . k . s . . .' },
+                { wave: 'square', volume: 0.08, octave: 1, from: 0.3, steps: '7 . . 7 8 . 7 . 3 . . . 2 . . .' },
+                { wave: 'square', volume: 0.05, octave: 2, from: 0.6, steps: '0 3 7 3 0 3 7 3 0 3 7 3 0 3 7 3' },
+                { drums: true, volume: 0.15, from: 0.85, steps: 'h . h h h . h h h . h h h . h h' }
+            ]
+        }
+    },
+
+    tracks: [], // { theme, gain, step, nextTime, endTime, recording } - two while crossfading
+    recordings: {}, // url -> { audio, source }: the element and its node in the graph
+    recordingFailed: false, // fall back to the layers from now on
+    intensity: 0, // 0-1, set by the game events below
+    timer: null,
+    noise: null, // shared white-noise buffer for the drums
+
+    init: function () {
+        Object.values(this.THEMES).forEach(theme => {
+            theme.layers.forEach(layer => {
+                layer.notes = layer.steps.split(' ').map(step => {
+                    if (step === '.') return null;
+                    return layer.drums ? step : Number(step);
+                });
+            });
+        });
+
+        SceneManager.onChange(() => this.play(this.SCENE_THEMES[SceneManager.current] || null));
+        this.play(this.SCENE_THEMES[SceneManager.current] || null);
+    },
+
+    // Crossfade to a theme (null fades to silence). Intensity starts over.
+    play: function (name) {
+        const current = this.tracks.find(track => !track.endTime);
+        if ((current ? current.theme : null) === name) return;
+        this.intensity = 0;
+
+        if (current && current.gain) {
+            current.endTime = audioCtx.currentTime + this.FADE;
+            this.fade(current.gain, 0);
+        } else if (current) {
+            // Never got to make a sound
+            this.tracks.splice(this.tracks.indexOf(current), 1);
+        }
+        if (name) this.tracks.push({ theme: name, gain: null, step: 0, nextTime: 0, endTime: 0 });
+
+        if (!this.timer) this.timer = setInterval(() => this.schedule(), this.TICK_MS);
+    },
+
+    setIntensity: function (value) {
+        this.intensity = Math.max(0, Math.min(1, value));
+    },
+
+    fade: function (gain, to) {
+        const now = audioCtx.currentTime;
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(to, now + this.FADE);
+    },
+
+    // Seconds per step at the current intensity
+    stepLength: function (theme) {
+        const bpm = theme.tempo[0] + (theme.tempo[1] - theme.tempo[0]) * this.intensity;
+        return 60 / bpm / 4;
+    },
+
+    // Book every step that starts before the lookahead runs out
+    schedule: function () {
+        // Wait for a user gesture to create or unlock the context
+        if (!audioCtx || audioCtx.state !== 'running') return;
+        const now = audioCtx.currentTime;
+
+        this.tracks = this.tracks.filter(track => {
+            if (track.endTime && now >= track.endTime) {
+                if (track.recording) this.stopRecording(track);
+                if (track.gain) track.gain.disconnect();
+                return false;
+            }
+            return true;
+        });
+        if (!this.tracks.length) {
+            clearInterval(this.timer);
+            this.timer = null;
+            return;
+        }
+
+        this.tracks.forEach(track => {
+            if (!track.gain) {
+                // Made here, as the context may not have existed when the theme began
+                track.gain = audioCtx.createGain();
+                track.gain.gain.value = 0;
+                track.gain.connect(musicOutput());
+                this.fade(track.gain, 1);
+            }
+            const theme = this.THEMES[track.theme];
+            if (theme.recording && !this.recordingFailed) {
+                this.playRecording(track, theme.recording);
+                return;
+            }
+            // Don't try to catch up on steps missed while the tab was asleep
+            if (track.nextTime < now) track.nextTime = now + 0.05;
+
+            while (track.nextTime < now + this.LOOKAHEAD) {
+                const length = this.stepLength(theme);
+                // Nothing to hear at zero volume, so only keep time
+                if (Mixer.volume('music') > 0) this.playStep(track, theme, length);
+                track.step++;
+                track.nextTime += length;
+            }
+        });
+    },
+
+    playRecording: function (track, url) {
+        if (track.recording) return;
+        if (!this.recordings[url]) {
+            const audio = new Audio(url);
+            audio.loop = true;
+            audio.addEventListener('error', () => this.failRecording(url));
+            this.recordings[url] = { audio, source: audioCtx.createMediaElementSource(audio) };
+        }
+
+        const recording = this.recordings[url];
+        track.recording = recording;
+        recording.source.connect(track.gain);
+        recording.audio.currentTime = 0;
+        recording.audio.play().catch(e => this.failRecording(url, e));
+    },
+
+    // Take a recording that can't play out of the graph; its themes use their layers
+    failRecording: function (url, error) {
+        const recording = this.recordings[url];
+        if (!recording) return;
+        console.warn(`Could not play ${url}, using the chiptune instead${error ? `: ${error.message}` : ''}`);
+        this.recordingFailed = true;
+        delete this.recordings[url];
+        recording.audio.pause();
+        recording.source.disconnect();
+        this.tracks.forEach(track => {
+            if (track.recording === recording) track.recording = null;
+        });
+    },
+
+    stopRecording: function (track) {
+        const recording = track.recording;
+        recording.source.disconnect(track.gain);
+        // The same theme may already be fading back in on another track
+        if (this.tracks.some(other => other !== track && other.recording === recording)) return;
+        recording.audio.pause();
+        recording.audio.currentTime = 0;
+    },
+
+    playStep: function (track, theme, length) {
+        const bar = Math.floor(track.step / this.STEPS);
+        const step = track.step % this.STEPS;
+        const chord = theme.chords[bar % theme.chords.length];
+
+        theme.layers.forEach(layer => {
+            if (this.intensity < layer.from) return;
+            const note = layer.notes[step];
+            if (note === null) return;
+            if (layer.drums) {
+                this.playDrum(track.gain, note, layer.volume, track.nextTime);
+            } else {
+                const freq = theme.root * Math.pow(2, (chord + note) / 12 + layer.octave);
+                this.playNote(track.gain, layer.wave, freq, layer.volume, track.nextTime, length * 0.9);
+            }
+        });
+    },
+
+    playNote: function (output, wave, freq, volume, time, dur) {
+        const osc = audioCtx.createOscillator();
+        const gainNode = audioCtx.createGain();
+
+        osc.type = wave;
+        osc.frequency.value = freq;
+
+        gainNode.gain.setValueAtTime(volume, time);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, time + dur);
+
+        osc.connect(gainNode);
+        gainNode.connect(output);
+
+        osc.start(time);
+        osc.stop(time + dur);
+    },
+
+    playDrum: function (output, kind, volume, time) {
+        const gainNode = audioCtx.createGain();
+        gainNode.connect(output);
+
+        if (kind === 'k') {
+            // Kick: a sine dropping fast in pitch
+            const osc = audioCtx.createOscillator();
+            osc.frequency.setValueAtTime(150, time);
+            osc.frequency.exponentialRampToValueAtTime(40, time + 0.12);
+            gainNode.gain.setValueAtTime(volume * 2, time);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, time + 0.15);
+            osc.connect(gainNode);
+            osc.start(time);
+            osc.stop(time + 0.15);
+            return;
+        }
+
+        // Snare and hat: filtered bursts of noise
+        const dur = kind === 's' ? 0.12 : 0.04;
+        const source = audioCtx.createBufferSource();
+        const filter = audioCtx.createBiquadFilter();
+        source.buffer = this.getNoise();
+        filter.type = kind === 's' ? 'bandpass' : 'highpass';
+        filter.frequency.value = kind === 's' ? 1800 : 7000;
+        gainNode.gain.setValueAtTime(volume, time);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, time + dur);
+        source.connect(filter);
+        filter.connect(gainNode);
+        source.start(time);
+        source.stop(time + dur);
+    },
+
+    getNoise: function () {
+        if (!this.noise) {
+            const length = Math.floor(audioCtx.sampleRate * 0.2);
+            this.noise = audioCtx.createBuffer(1, length, audioCtx.sampleRate);
+            const data = this.noise.getChannelData(0);
+            for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        return this.noise;
+    }
+};
+
+// Intensity follows each game's own difficulty ramp
+GameEvents.on('wave', e => {
+    Music.setIntensity(WAVES.findIndex(wave => wave.name === e.name) / (WAVES.length - 1));
+});
+GameEvents.on('pipePassed', () => Music.setIntensity(FlappyGame.pipesPassed / FlappyGame.RAMP_PIPES));
+GameEvents.on('score', e => {
+    if (e.game !== 'angry') return;
+    // Later levels are bigger, and the level's pigs falling builds on that
+    const levels = Math.max(1, LevelLoader.count() - 1);
+    const pigs = AngryLeliGame.pigs.filter(pig => !pig.alive).length / Math.max(1, AngryLeliGame.pigs.length);
+    Music.setIntensity((AngryLeliGame.currentLevel + pigs * 0.5) / levels);
+});
+// Calm back down on the results screen
+GameEvents.on('gameOver', () => Music.setIntensity(0));
+
+Music.init();
@@ -0,0 +1,83 @@
+// Pause Menu - overlay, hotkeys and auto-pause shared by every game
+// The scene manager owns the paused state; this file only drives the UI and
+// keeps audio quiet while a game is frozen.
+
+const PauseMenu = {
+    overlay: null,
+    button: null,
+    audioSuspended: false,
+
+    init: function () {
+        this.overlay = document.getElementById('pause-overlay');
+        this.button = document.getElementById('pause-btn');
+
+        this.button.addEventListener('click', () => this.open());
+        document.getElementById('resume-btn').addEventListener('click', () => this.close());
+        document.getElementById('pause-restart-btn').addEventListener('click', () => SceneManager.restart());
+        document.getElementById('pause-menu-btn').addEventListener('click', showMainMenu);
+
+        // P/Esc by default, or Start on a gamepad (see input.js)
+        Input.handle('pause', pressed => {
+            if (!pressed) return false;
+            if (SceneManager.paused) {
+                this.close();
+            } else {
+                this.open();
+            }
+            return true;
+        });
+
+        // Never let a game keep running behind a hidden tab or unfocused window
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.open();
+        });
+        window.addEventListener('blur', () => this.open());
+
+        SceneManager.onChange(() => this.sync());
+        this.sync();
+    },
+
+    open: function () {
+        if (!this.canPause()) return;
+        SceneManager.pause();
+    },
+
+    // Tools like the level editor opt out with pausable: false
+    canPause: function () {
+        const scene = SceneManager.getActive();
+        return !!scene && scene.pausable !== false;
+    },
+
+    close: function () {
+        SceneManager.resume();
+    },
+
+    // Mirror the scene manager state in the DOM and audio
+    sync: function () {
+        const paused = SceneManager.paused;
+        this.overlay.classList.toggle('hidden', !paused);
+        this.button.classList.toggle('hidden', !SceneManager.running || !this.canPause());
+
+        if (paused && !this.audioSuspended) {
+            this.suspendAudio();
+        } else if (!paused && this.audioSuspended) {
+            this.resumeAudio();
+        }
+    },
+
+    suspendAudio: function () {
+        this.audioSuspended = true;
+        if (audioCtx && audioCtx.state === 'running') {
+            audioCtx.suspend().catch(e => console.warn('Suspend failed:', e));
+        }
+    },
+
+    resumeAudio: function () {
+        this.audioSuspended = false;
+        if (audioCtx && audioCtx.state === 'suspended') {
+            audioCtx.resume().catch(e => console.warn('Resume failed:', e));
+        }
+    }
+};
+
+PauseMenu.init();
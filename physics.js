@@ -0,0 +1,540 @@
+// Rigid-body physics for Angry Leli
+// Boxes and circles with gravity, rotation, stacking and friction, resting on
+// a flat ground line. This is a small sequential-impulse solver in the spirit
+// of Box2D-lite: contacts are rebuilt every step, warm started with the
+// impulses they ended the previous step with, then solved over a few
+// iterations. The whole world sleeps once everything has come to rest.
+
+const PhysicsConfig = {
+    ITERATIONS: 10,
+    MAX_STEP: 1 / 240, // longer steps are split so tall stacks stay stable
+    BIAS_FACTOR: 0.2, // how hard overlaps are pushed apart each step
+    SLOP: 0.5, // pixels of overlap allowed before correcting
+    RESTITUTION_SPEED: 60, // slower impacts don't bounce
+    SLEEP_SPEED: 8,
+    SLEEP_SPIN: 0.15,
+    SLEEP_TIME: 0.5
+};
+
+class RigidBody {
+    constructor(shape, x, y, options = {}) {
+        this.id = RigidBody.nextId++;
+        this.shape = shape; // 'box', 'circle' or 'ground'
+        this.x = x;
+        this.y = y;
+        this.angle = options.angle || 0;
+        this.vx = 0;
+        this.vy = 0;
+        this.omega = 0; // angular velocity, radians per second
+
+        this.w = options.w || 0;
+        this.h = options.h || 0;
+        this.r = options.r || 0;
+        this.friction = options.friction !== undefined ? options.friction : 0.6;
+        this.restitution = options.restitution !== undefined ? options.restitution : 0.1;
+        this.linearDamping = options.linearDamping || 0;
+        this.angularDamping = options.angularDamping || 0;
+        this.userData = options.userData || null;
+
+        if (options.isStatic) {
+            this.mass = 0;
+            this.invMass = 0;
+            this.invInertia = 0;
+        } else {
+            const density = options.density || 1;
+            const area = shape === 'box' ? this.w * this.h : Math.PI * this.r * this.r;
+            const inertia = shape === 'box'
+                ? density * area * (this.w * this.w + this.h * this.h) / 12
+                : density * area * this.r * this.r / 2;
+            this.mass = density * area;
+            this.invMass = 1 / this.mass;
+            this.invInertia = 1 / inertia;
+        }
+    }
+
+    // Impulse (px, py) applied at world point (cx, cy)
+    applyImpulse(px, py, cx, cy) {
+        this.vx += px * this.invMass;
+        this.vy += py * this.invMass;
+        this.omega += this.invInertia * ((cx - this.x) * py - (cy - this.y) * px);
+    }
+
+    velocityAt(cx, cy) {
+        return {
+            x: this.vx - this.omega * (cy - this.y),
+            y: this.vy + this.omega * (cx - this.x)
+        };
+    }
+
+    // World-space corners of a box, clockwise from top-left
+    getCorners() {
+        const c = Math.cos(this.angle);
+        const s = Math.sin(this.angle);
+        const hw = this.w / 2;
+        const hh = this.h / 2;
+        return [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].map(([lx, ly]) => ({
+            x: this.x + lx * c - ly * s,
+            y: this.y + lx * s + ly * c
+        }));
+    }
+}
+RigidBody.nextId = 1;
+
+class PhysicsWorld {
+    constructor(options = {}) {
+        this.gravity = options.gravity || 700;
+        this.groundY = options.groundY || 0;
+        this.ground = new RigidBody('ground', 0, this.groundY, { isStatic: true, friction: 0.8 });
+        this.bodies = [];
+        this.arbiters = new Map(); // contacts that persist between steps
+        this.impacts = []; // { a, b, speed } new collisions from the last step
+        this.time = 0;
+        this.awake = true;
+        this.calmTime = 0;
+    }
+
+    add(body) {
+        this.bodies.push(body);
+        this.wake();
+        return body;
+    }
+
+    addBox(x, y, w, h, options = {}) {
+        return this.add(new RigidBody('box', x, y, { ...options, w, h }));
+    }
+
+    addCircle(x, y, r, options = {}) {
+        return this.add(new RigidBody('circle', x, y, { ...options, r }));
+    }
+
+    remove(body) {
+        const index = this.bodies.indexOf(body);
+        if (index === -1) return;
+        this.bodies.splice(index, 1);
+        // Whatever rested on it has to start falling
+        this.wake();
+    }
+
+    setGroundY(y) {
+        this.groundY = y;
+        this.ground.y = y;
+        this.wake();
+    }
+
+    wake() {
+        this.awake = true;
+        this.calmTime = 0;
+    }
+
+    isSettled() {
+        return !this.awake;
+    }
+
+    step(dt) {
+        this.impacts = [];
+        this.time += dt;
+        if (!this.awake) return;
+
+        const substeps = Math.max(1, Math.ceil(dt / PhysicsConfig.MAX_STEP - 1e-6));
+        const h = dt / substeps;
+        for (let i = 0; i < substeps; i++) {
+            this.stepOnce(h);
+        }
+        this.updateSleep(dt);
+    }
+
+    stepOnce(dt) {
+        this.updateContacts();
+
+        // Gravity and damping
+        for (const body of this.bodies) {
+            if (!body.invMass) continue;
+            body.vy += this.gravity * dt;
+            if (body.linearDamping) {
+                const damping = Math.max(0, 1 - body.linearDamping * dt);
+                body.vx *= damping;
+                body.vy *= damping;
+            }
+            if (body.angularDamping) {
+                body.omega *= Math.max(0, 1 - body.angularDamping * dt);
+            }
+        }
+
+        const arbiters = Array.from(this.arbiters.values());
+        arbiters.forEach(arbiter => this.preStep(arbiter, dt));
+        for (let i = 0; i < PhysicsConfig.ITERATIONS; i++) {
+            arbiters.forEach(arbiter => this.solve(arbiter));
+        }
+
+        for (const body of this.bodies) {
+            if (!body.invMass) continue;
+            body.x += body.vx * dt;
+            body.y += body.vy * dt;
+            body.angle += body.omega * dt;
+        }
+    }
+
+    // Everything calm for a moment puts the whole world to sleep
+    updateSleep(dt) {
+        const calm = this.bodies.every(body =>
+            Math.hypot(body.vx, body.vy) < PhysicsConfig.SLEEP_SPEED &&
+            Math.abs(body.omega) < PhysicsConfig.SLEEP_SPIN
+        );
+        this.calmTime = calm ? this.calmTime + dt : 0;
+        if (this.calmTime >= PhysicsConfig.SLEEP_TIME) {
+            this.awake = false;
+            this.bodies.forEach(body => {
+                body.vx = 0;
+                body.vy = 0;
+                body.omega = 0;
+            });
+        }
+    }
+
+    // ---------- Contacts ----------
+
+    updateContacts() {
+        const next = new Map();
+        const pairs = [];
+        for (let i = 0; i < this.bodies.length; i++) {
+            pairs.push([this.ground, this.bodies[i]]);
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                pairs.push([this.bodies[i], this.bodies[j]]);
+            }
+        }
+
+        for (const [a, b] of pairs) {
+            const contacts = PhysicsWorld.collide(a, b);
+            if (!contacts.length) continue;
+
+            const key = `${a.id}:${b.id}`;
+            const previous = this.arbiters.get(key);
+            // Carry impulses over for contacts that match last step's features
+            if (previous) {
+                contacts.forEach(contact => {
+                    const old = previous.contacts.find(c => c.id === contact.id);
+                    if (old) {
+                        contact.Pn = old.Pn;
+                        contact.Pt = old.Pt;
+                        contact.fresh = false;
+                    }
+                });
+            }
+            next.set(key, {
+                a,
+                b,
+                contacts,
+                friction: Math.sqrt(a.friction * b.friction),
+                restitution: Math.max(a.restitution, b.restitution)
+            });
+        }
+        this.arbiters = next;
+    }
+
+    preStep(arbiter, dt) {
+        const { a, b } = arbiter;
+        let impactSpeed = 0;
+
+        for (const c of arbiter.contacts) {
+            c.rAx = c.x - a.x;
+            c.rAy = c.y - a.y;
+            c.rBx = c.x - b.x;
+            c.rBy = c.y - b.y;
+
+            const rnA = c.rAx * c.ny - c.rAy * c.nx;
+            const rnB = c.rBx * c.ny - c.rBy * c.nx;
+            c.massNormal = 1 / (a.invMass + b.invMass + a.invInertia * rnA * rnA + b.invInertia * rnB * rnB);
+
+            const tx = c.ny;
+            const ty = -c.nx;
+            const rtA = c.rAx * ty - c.rAy * tx;
+            const rtB = c.rBx * ty - c.rBy * tx;
+            c.massTangent = 1 / (a.invMass + b.invMass + a.invInertia * rtA * rtA + b.invInertia * rtB * rtB);
+
+            c.bias = PhysicsConfig.BIAS_FACTOR / dt * Math.max(0, c.depth - PhysicsConfig.SLOP);
+
+            const vn = this.relativeNormalSpeed(a, b, c);
+            if (vn < -PhysicsConfig.RESTITUTION_SPEED) {
+                c.bias = Math.max(c.bias, -arbiter.restitution * vn);
+            }
+            // Only surfaces that just met count as an impact; resting
+            // contacts being squeezed don't
+            if (c.fresh) impactSpeed = Math.max(impactSpeed, -vn);
+
+            // Warm start
+            this.applyContactImpulse(a, b, c, c.Pn * c.nx + c.Pt * tx, c.Pn * c.ny + c.Pt * ty);
+        }
+
+        if (impactSpeed > 0) {
+            this.impacts.push({ a, b, speed: impactSpeed });
+        }
+    }
+
+    solve(arbiter) {
+        const { a, b } = arbiter;
+        for (const c of arbiter.contacts) {
+            // Normal impulse keeps the bodies apart
+            const vn = this.relativeNormalSpeed(a, b, c);
+            let dPn = c.massNormal * (-vn + c.bias);
+            const Pn0 = c.Pn;
+            c.Pn = Math.max(Pn0 + dPn, 0);
+            dPn = c.Pn - Pn0;
+            this.applyContactImpulse(a, b, c, dPn * c.nx, dPn * c.ny);
+
+            // Friction impulse, limited by the normal impulse
+            const tx = c.ny;
+            const ty = -c.nx;
+            const dv = this.relativeVelocity(a, b, c);
+            const vt = dv.x * tx + dv.y * ty;
+            let dPt = c.massTangent * -vt;
+            const maxPt = arbiter.friction * c.Pn;
+            const Pt0 = c.Pt;
+            c.Pt = Math.max(-maxPt, Math.min(Pt0 + dPt, maxPt));
+            dPt = c.Pt - Pt0;
+            this.applyContactImpulse(a, b, c, dPt * tx, dPt * ty);
+        }
+    }
+
+    relativeVelocity(a, b, c) {
+        return {
+            x: (b.vx - b.omega * c.rBy) - (a.vx - a.omega * c.rAy),
+            y: (b.vy + b.omega * c.rBx) - (a.vy + a.omega * c.rAx)
+        };
+    }
+
+    relativeNormalSpeed(a, b, c) {
+        const dv = this.relativeVelocity(a, b, c);
+        return dv.x * c.nx + dv.y * c.ny;
+    }
+
+    applyContactImpulse(a, b, c, px, py) {
+        a.vx -= px * a.invMass;
+        a.vy -= py * a.invMass;
+        a.omega -= a.invInertia * (c.rAx * py - c.rAy * px);
+        b.vx += px * b.invMass;
+        b.vy += py * b.invMass;
+        b.omega += b.invInertia * (c.rBx * py - c.rBy * px);
+    }
+}
+
+// ---------- Collision detection ----------
+// Each test returns contacts { x, y, nx, ny, depth, id, Pn, Pt, fresh } with
+// the normal pointing from body a to body b.
+
+PhysicsWorld.collide = function (a, b) {
+    if (a.shape === 'ground') return PhysicsWorld.collideGround(a, b);
+    if (a.shape === 'box' && b.shape === 'box') return PhysicsWorld.collideBoxes(a, b);
+    if (a.shape === 'circle' && b.shape === 'circle') return PhysicsWorld.collideCircles(a, b);
+
+    const flip = a.shape === 'circle';
+    const circle = flip ? a : b;
+    const box = flip ? b : a;
+    const hit = PhysicsWorld.circleVsBox(circle, box);
+    if (!hit) return [];
+    // circleVsBox points from the box to the circle
+    const sign = flip ? -1 : 1;
+    return [PhysicsWorld.makeContact(hit.x, hit.y, hit.nx * sign, hit.ny * sign, hit.depth, 'cb')];
+};
+
+PhysicsWorld.makeContact = function (x, y, nx, ny, depth, id) {
+    return { x, y, nx, ny, depth, id, Pn: 0, Pt: 0, fresh: true };
+};
+
+PhysicsWorld.collideGround = function (ground, body) {
+    const contacts = [];
+    if (body.shape === 'circle') {
+        const depth = body.y + body.r - ground.y;
+        if (depth > 0) {
+            contacts.push(PhysicsWorld.makeContact(body.x, ground.y, 0, -1, depth, 'g'));
+        }
+        return contacts;
+    }
+    body.getCorners().forEach((corner, i) => {
+        const depth = corner.y - ground.y;
+        if (depth > 0) {
+            contacts.push(PhysicsWorld.makeContact(corner.x, ground.y, 0, -1, depth, `g${i}`));
+        }
+    });
+    return contacts;
+};
+
+PhysicsWorld.collideCircles = function (a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dist = Math.hypot(dx, dy);
+    const depth = a.r + b.r - dist;
+    if (depth <= 0) return [];
+    const nx = dist > 0 ? dx / dist : 0;
+    const ny = dist > 0 ? dy / dist : -1;
+    const reach = a.r - depth / 2;
+    return [PhysicsWorld.makeContact(a.x + nx * reach, a.y + ny * reach, nx, ny, depth, 'cc')];
+};
+
+// Closest-point test; the normal points from the box towards the circle.
+// Also used for birds, which fly outside the world.
+PhysicsWorld.circleVsBox = function (circle, box) {
+    const c = Math.cos(box.angle);
+    const s = Math.sin(box.angle);
+    const hw = box.w / 2;
+    const hh = box.h / 2;
+
+    // Circle centre in the box's local frame
+    const dx = circle.x - box.x;
+    const dy = circle.y - box.y;
+    const lx = dx * c + dy * s;
+    const ly = -dx * s + dy * c;
+
+    let qx = Math.max(-hw, Math.min(lx, hw));
+    let qy = Math.max(-hh, Math.min(ly, hh));
+    let nlx;
+    let nly;
+    let depth;
+
+    if (qx !== lx || qy !== ly) {
+        const ox = lx - qx;
+        const oy = ly - qy;
+        const dist = Math.hypot(ox, oy);
+        if (dist >= circle.r) return null;
+        nlx = ox / dist;
+        nly = oy / dist;
+        depth = circle.r - dist;
+    } else {
+        // Centre is inside the box - push out through the nearest face
+        const px = hw - Math.abs(lx);
+        const py = hh - Math.abs(ly);
+        if (px < py) {
+            nlx = lx < 0 ? -1 : 1;
+            nly = 0;
+            qx = nlx * hw;
+            depth = circle.r + px;
+        } else {
+            nlx = 0;
+            nly = ly < 0 ? -1 : 1;
+            qy = nly * hh;
+            depth = circle.r + py;
+        }
+    }
+
+    return {
+        x: box.x + qx * c - qy * s,
+        y: box.y + qx * s + qy * c,
+        nx: nlx * c - nly * s,
+        ny: nlx * s + nly * c,
+        depth
+    };
+};
+
+// Separating-axis test, then the incident face is clipped against the
+// reference face to get up to two contact points
+PhysicsWorld.collideBoxes = function (A, B) {
+    const axesOf = (body) => {
+        const c = Math.cos(body.angle);
+        const s = Math.sin(body.angle);
+        return [{ x: c, y: s }, { x: -s, y: c }];
+    };
+    const dot = (u, v) => u.x * v.x + u.y * v.y;
+
+    const axesA = axesOf(A);
+    const axesB = axesOf(B);
+    const extA = [A.w / 2, A.h / 2];
+    const extB = [B.w / 2, B.h / 2];
+    const d = { x: B.x - A.x, y: B.y - A.y };
+
+    const project = (axes, ext, axis) =>
+        ext[0] * Math.abs(dot(axes[0], axis)) + ext[1] * Math.abs(dot(axes[1], axis));
+
+    let best = null;
+    const candidates = [
+        { owner: 'A', index: 0, axis: axesA[0] },
+        { owner: 'A', index: 1, axis: axesA[1] },
+        { owner: 'B', index: 0, axis: axesB[0] },
+        { owner: 'B', index: 1, axis: axesB[1] }
+    ];
+    for (const cand of candidates) {
+        const dist = dot(d, cand.axis);
+        const overlap = project(axesA, extA, cand.axis) + project(axesB, extB, cand.axis) - Math.abs(dist);
+        if (overlap < 0) return [];
+        cand.overlap = overlap;
+        cand.sign = dist < 0 ? -1 : 1;
+        // Prefer A's faces unless B's are clearly better, so contacts don't flicker
+        if (!best || (cand.owner === 'B' && best.owner === 'A'
+            ? cand.overlap < best.overlap * 0.95 - 0.01
+            : cand.overlap < best.overlap)) {
+            best = cand;
+        }
+    }
+
+    // Normal from A to B
+    const n = { x: best.axis.x * best.sign, y: best.axis.y * best.sign };
+
+    const refIsA = best.owner === 'A';
+    const ref = refIsA ? A : B;
+    const inc = refIsA ? B : A;
+    const refAxes = refIsA ? axesA : axesB;
+    const refExt = refIsA ? extA : extB;
+    const incAxes = refIsA ? axesB : axesA;
+    const incExt = refIsA ? extB : extA;
+    const refNormal = refIsA ? n : { x: -n.x, y: -n.y };
+
+    // Reference face
+    const i = best.index;
+    const faceCenter = {
+        x: ref.x + refNormal.x * refExt[i],
+        y: ref.y + refNormal.y * refExt[i]
+    };
+    const tangent = refAxes[1 - i];
+    const halfLength = refExt[1 - i];
+
+    // Incident face: the one most opposed to the reference normal
+    const j = Math.abs(dot(incAxes[0], refNormal)) > Math.abs(dot(incAxes[1], refNormal)) ? 0 : 1;
+    const faceSign = dot(incAxes[j], refNormal) > 0 ? -1 : 1;
+    const incCenter = {
+        x: inc.x + incAxes[j].x * incExt[j] * faceSign,
+        y: inc.y + incAxes[j].y * incExt[j] * faceSign
+    };
+    const incTangent = incAxes[1 - j];
+    const incHalf = incExt[1 - j];
+    let points = [
+        { x: incCenter.x + incTangent.x * incHalf, y: incCenter.y + incTangent.y * incHalf, id: 0 },
+        { x: incCenter.x - incTangent.x * incHalf, y: incCenter.y - incTangent.y * incHalf, id: 1 }
+    ];
+
+    // Clip the incident edge to the reference face's side planes
+    const clip = (pts, side) => {
+        const out = [];
+        const dist = pts.map(p => side * dot({ x: p.x - faceCenter.x, y: p.y - faceCenter.y }, tangent) - halfLength);
+        pts.forEach((p, k) => {
+            if (dist[k] <= 0) out.push(p);
+        });
+        if (dist[0] * dist[1] < 0) {
+            // The clipped point keeps the id of the vertex it replaces, so
+            // warm starting survives edges sliding across each other
+            const t = dist[0] / (dist[0] - dist[1]);
+            out.push({
+                x: pts[0].x + (pts[1].x - pts[0].x) * t,
+                y: pts[0].y + (pts[1].y - pts[0].y) * t,
+                id: dist[0] > 0 ? pts[0].id : pts[1].id
+            });
+        }
+        return out;
+    };
+    points = clip(points, 1);
+    if (points.length < 2) return [];
+    points = clip(points, -1);
+    if (points.length < 2) return [];
+
+    const contacts = [];
+    points.forEach(p => {
+        const separation = dot({ x: p.x - faceCenter.x, y: p.y - faceCenter.y }, refNormal);
+        if (separation > 0) return;
+        contacts.push(PhysicsWorld.makeContact(
+            p.x - refNormal.x * separation / 2,
+            p.y - refNormal.y * separation / 2,
+            n.x,
+            n.y,
+            -separation,
+            `${best.owner}${i}${j}${p.id}`
+        ));
+    });
+    return contacts;
+};
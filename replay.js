@@ -0,0 +1,234 @@
+// Replay - records a run's inputs and plays them back through the real game code
+// A run is its RNG seed plus every input stamped with the fixed-timestep tick
+// it landed on. Feeding the same inputs on the same ticks reproduces the run.
+//
+// Each game scene implements applyInput(type, args) to act on a recorded
+// input, and startRun(replay) to begin a run from its welcome screen.
+
+const Replay = {
+    VERSION: 1,
+    SPEEDS: [0.5, 1, 2, 4],
+
+    recording: null, // run currently being captured
+    lastRuns: {}, // game -> last finished recording, for "Watch Replay"
+    playing: null, // replay being played back
+    cursor: 0,
+    finished: false,
+
+    init: function () {
+        SceneManager.onStep((tick) => this.beforeStep(tick));
+        SceneManager.onChange(() => {
+            // Leaving the game mid-replay ends playback
+            if (this.playing && !SceneManager.isActive(this.playing.game)) this.stop();
+        });
+
+        this.bar = document.getElementById('replay-bar');
+        this.label = document.getElementById('replay-label');
+        this.speedButtons = Array.from(document.querySelectorAll('.replay-speed'));
+        this.speedButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setSpeed(parseFloat(btn.dataset.speed)));
+        });
+        document.getElementById('replay-again-btn').addEventListener('click', () => this.play(this.playing));
+        document.getElementById('replay-exit-btn').addEventListener('click', () => this.exit());
+
+        Object.keys(GAME_OVER_SCREENS).forEach(game => {
+            const screen = document.getElementById(GAME_OVER_SCREENS[game]);
+            screen.querySelector('.watch-replay-btn').addEventListener('click', () => this.play(this.lastRuns[game]));
+            screen.querySelector('.export-replay-btn').addEventListener('click', () => this.download(this.lastRuns[game]));
+        });
+
+        const fileInput = document.getElementById('replay-file');
+        document.getElementById('load-replay-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.loadFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+    },
+
+    isPlaying: function () {
+        return !!this.playing;
+    },
+
+    // ---------- Recording ----------
+
+    // Called when a run starts; replays restart from their first input instead.
+    // details holds anything else the game needs to restart the run (e.g. level).
+    beginRun: function (game, seed, details) {
+        if (this.playing) {
+            this.cursor = 0;
+            this.finished = false;
+            this.updateBar();
+            return;
+        }
+        this.recording = {
+            v: this.VERSION,
+            game,
+            seed,
+            w: canvas.width,
+            h: canvas.height,
+            ...details,
+            events: []
+        };
+    },
+
+    record: function (type, ...args) {
+        if (!this.recording || this.playing) return;
+        const events = this.recording.events;
+        const tick = SceneManager.tick;
+        const last = events[events.length - 1];
+
+        // Only the final pointer position or tilt within a tick matters
+        if ((type === 'm' || type === 't') && last && last[0] === tick && last[1] === type) {
+            events.pop();
+        }
+        events.push([tick, type, ...args.map(a => typeof a === 'number' ? Math.round(a) : a)]);
+    },
+
+    finishRun: function (score) {
+        if (!this.recording) return;
+        this.recording.score = score;
+        this.recording.ticks = SceneManager.tick;
+        this.recording.date = new Date().toISOString();
+        this.lastRuns[this.recording.game] = this.recording;
+        this.recording = null;
+    },
+
+    // ---------- Playback ----------
+
+    play: function (replay) {
+        if (!replay) return;
+        const scene = SceneManager.get(replay.game);
+
+        this.recording = null;
+        this.playing = replay;
+        this.cursor = 0;
+        this.finished = false;
+
+        SceneManager.show(replay.game);
+        this.setSpeed(1);
+        this.bar.classList.remove('hidden');
+        this.updateBar();
+
+        if (replay.w !== canvas.width || replay.h !== canvas.height) {
+            console.warn('Replay was recorded at a different screen size and may drift');
+        }
+        scene.startRun(replay);
+    },
+
+    beforeStep: function (tick) {
+        if (!this.playing) return;
+        const events = this.playing.events;
+        const scene = SceneManager.get(this.playing.game);
+        while (this.cursor < events.length && events[this.cursor][0] <= tick) {
+            const [, type, ...args] = events[this.cursor];
+            scene.applyInput(type, args);
+            this.cursor++;
+        }
+    },
+
+    // The replayed run reached its game over
+    finishPlayback: function () {
+        this.finished = true;
+        this.updateBar();
+    },
+
+    stop: function () {
+        this.playing = null;
+        this.finished = false;
+        SceneManager.timeScale = 1;
+        this.bar.classList.add('hidden');
+    },
+
+    exit: function () {
+        const game = this.playing ? this.playing.game : null;
+        this.stop();
+        if (game) SceneManager.show(game);
+    },
+
+    setSpeed: function (speed) {
+        SceneManager.timeScale = speed;
+        this.speedButtons.forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+    },
+
+    updateBar: function () {
+        if (!this.playing) return;
+        this.label.textContent = this.finished
+            ? `Replay finished - score ${this.playing.score}`
+            : '▶ REPLAY';
+        this.bar.classList.toggle('finished', this.finished);
+    },
+
+    // ---------- Sharing ----------
+
+    // Ticks are stored as deltas from the previous input to keep files small
+    pack: function (replay) {
+        let previous = 0;
+        return {
+            ...replay,
+            events: replay.events.map(([tick, ...rest]) => {
+                const delta = tick - previous;
+                previous = tick;
+                return [delta, ...rest];
+            })
+        };
+    },
+
+    unpack: function (data) {
+        let tick = 0;
+        return {
+            ...data,
+            events: data.events.map(([delta, ...rest]) => {
+                tick += delta;
+                return [tick, ...rest];
+            })
+        };
+    },
+
+    validate: function (data) {
+        if (!data || typeof data !== 'object') return 'Not a replay file';
+        if (data.v !== this.VERSION) return `Unsupported replay version: ${data.v}`;
+        if (!SceneManager.get(data.game) || !SceneManager.get(data.game).applyInput) {
+            return `Unknown game: ${data.game}`;
+        }
+        if (typeof data.seed !== 'number') return 'Replay is missing its seed';
+        if (!Array.isArray(data.events) || data.events.some(e => !Array.isArray(e) || typeof e[0] !== 'number')) {
+            return 'Replay inputs are malformed';
+        }
+        return null;
+    },
+
+    download: function (replay) {
+        if (!replay) return;
+        const blob = new Blob([JSON.stringify(this.pack(replay))], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${replay.game}-replay-${replay.score || 0}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    loadFile: function (file) {
+        const error = document.getElementById('replay-error');
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data = null;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                data = null;
+            }
+            const problem = this.validate(data);
+            error.textContent = problem || '';
+            error.classList.toggle('hidden', !problem);
+            if (!problem) this.play(this.unpack(data));
+        };
+        reader.readAsText(file);
+    }
+};
+
+Replay.init();
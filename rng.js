@@ -0,0 +1,63 @@
+// Seeded RNG - deterministic random numbers for gameplay
+// Everything that changes how a run plays out (poop boosts, pipe gaps,
+// clouds) draws from Random so a seed replays the exact same sequence.
+// Purely cosmetic effects (particles, background stars) keep Math.random
+// so they can never shift the gameplay sequence.
+
+const Random = {
+    seed: 0,
+    state: 0,
+
+    setSeed: function (seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        return this.seed;
+    },
+
+    // mulberry32 - small, fast and good enough for games
+    next: function () {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    // Float in [min, max)
+    range: function (min, max) {
+        return min + this.next() * (max - min);
+    },
+
+    // Integer in [min, max]
+    int: function (min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    },
+
+    // Independent generator that does not disturb the shared sequence
+    create: function (seed) {
+        const rng = Object.create(Random);
+        rng.setSeed(seed);
+        return rng;
+    },
+
+    freshSeed: function () {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    },
+
+    // Same seed for everyone playing the given game today (local date)
+    dailySeed: function (game, date) {
+        const d = date || new Date();
+        const day = `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+        return this.hashString(`${game}:${day}`);
+    },
+
+    // FNV-1a
+    hashString: function (str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+};
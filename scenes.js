@@ -0,0 +1,209 @@
+// Scene Manager - one requestAnimationFrame driver shared by every game
+// Each scene (menu or game) registers enter/exit/update/draw hooks and the
+// DOM screens it owns. Only the active scene is ever updated or drawn, so two
+// games can never fight over #gameCanvas.
+// Simulation runs on a fixed timestep (update always gets STEP seconds) so the
+// same seed and inputs replay identically; drawing happens once per frame.
+// Frame listeners (gamepad polling) run at the start of every frame, and keep
+// the driver ticking on their own while no scene is running.
+
+const SceneManager = {
+    scenes: {},
+    current: null, // name of the active scene
+    running: false, // is the driver ticking the active scene
+    paused: false, // halted by the player (or a hidden tab) mid-run
+    lastTime: 0,
+    accumulator: 0,
+    tick: 0, // fixed steps since the current run began
+    timeScale: 1, // replay speed
+    frameId: null,
+    listeners: [],
+    stepListeners: [],
+    frameListeners: [],
+
+    // Overlays that belong to no single scene but must be cleared on a switch
+    SHARED_SCREENS: ['score-board', 'rotate-overlay', 'pause-overlay', 'settings-panel', 'keybindings'],
+    DEFAULT_MAX_DT: 0.1,
+    STEP: 1 / 120,
+    MAX_STEPS_PER_FRAME: 12,
+
+    // scene: {
+    //   screens: [ids of DOM screens owned by the scene],
+    //   enter(...args), exit(), update(dt), draw(dt), restart()  - all optional
+    //   startRun(), applyInput(type, args)  - needed for replays (replay.js)
+    //   actions: { name(...args) }  - input actions for this scene (input.js);
+    //     called with the scene as `this`, return true when the input was used
+    //   maxDt: largest frame time before it is treated as a hiccup
+    // }
+    register: function (name, scene) {
+        scene.name = name;
+        scene.screens = scene.screens || [];
+        this.scenes[name] = scene;
+        return scene;
+    },
+
+    get: function (name) {
+        return this.scenes[name];
+    },
+
+    getActive: function () {
+        return this.current ? this.scenes[this.current] : null;
+    },
+
+    isActive: function (name) {
+        return this.current === name;
+    },
+
+    // Mark the scene that is already on screen at page load without
+    // re-running its enter hook.
+    start: function (name) {
+        this.current = name;
+    },
+
+    // Called with the manager whenever running/paused/current changes
+    onChange: function (listener) {
+        this.listeners.push(listener);
+    },
+
+    notify: function () {
+        this.listeners.forEach(listener => listener(this));
+    },
+
+    // Called with the tick number right before every fixed update
+    onStep: function (listener) {
+        this.stepListeners.push(listener);
+    },
+
+    // Called with the timestamp at the start of every animation frame, before
+    // the scene's steps. Returns a function that unsubscribes.
+    onFrame: function (listener) {
+        this.frameListeners.push(listener);
+        this.wake();
+        return () => {
+            this.frameListeners = this.frameListeners.filter(other => other !== listener);
+        };
+    },
+
+    // Ask for the next frame unless one is already on its way
+    wake: function () {
+        if (this.frameId !== null) return;
+        if (!this.running && !this.frameListeners.length) return;
+        this.frameId = requestAnimationFrame((t) => this.frame(t));
+    },
+
+    // A new run starts counting ticks from zero
+    resetClock: function () {
+        this.tick = 0;
+        this.accumulator = 0;
+    },
+
+    // Leave the active scene and enter another one
+    show: function (name, ...args) {
+        const next = this.scenes[name];
+        if (!next) {
+            console.warn(`Unknown scene: ${name}`);
+            return;
+        }
+
+        this.paused = false;
+        this.halt();
+        const previous = this.getActive();
+        if (previous && previous.exit) previous.exit();
+
+        this.hideAllScreens();
+        this.current = name;
+        if (next.enter) next.enter(...args);
+        this.notify();
+    },
+
+    hideAllScreens: function () {
+        const ids = new Set(this.SHARED_SCREENS);
+        Object.values(this.scenes).forEach(scene => {
+            scene.screens.forEach(id => ids.add(id));
+        });
+        ids.forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.classList.add('hidden');
+        });
+    },
+
+    // Start ticking the active scene. Calling it twice never spawns a second loop.
+    run: function () {
+        if (this.running || !this.current) return;
+        this.running = true;
+        this.paused = false;
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        this.wake();
+        this.notify();
+    },
+
+    // Stop ticking; the last drawn frame stays on the canvas
+    halt: function () {
+        const wasRunning = this.running;
+        this.running = false;
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        // Frame listeners carry on without the scene
+        this.wake();
+        if (wasRunning) this.notify();
+    },
+
+    // Freeze a running scene. Returns false when there is nothing to pause.
+    pause: function () {
+        if (!this.running) return false;
+        this.paused = true;
+        this.halt();
+        return true;
+    },
+
+    // Pick up where pause() left off; run() resets the clock so no time jumps
+    resume: function () {
+        if (!this.paused) return;
+        this.run();
+    },
+
+    restart: function () {
+        const scene = this.getActive();
+        if (!scene || !scene.restart) return;
+        this.paused = false;
+        this.halt();
+        scene.restart();
+    },
+
+    frame: function (timestamp) {
+        this.frameId = null;
+        this.frameListeners.forEach(listener => listener(timestamp));
+        if (!this.running) {
+            this.wake();
+            return;
+        }
+
+        const scene = this.getActive();
+        const maxDt = scene.maxDt || this.DEFAULT_MAX_DT;
+
+        let dt = (timestamp - this.lastTime) / 1000;
+        this.lastTime = timestamp;
+        if (isNaN(dt) || dt < 0 || dt > maxDt) dt = 0.016;
+
+        this.accumulator += dt * this.timeScale;
+        let steps = 0;
+        while (this.accumulator >= this.STEP && steps < this.MAX_STEPS_PER_FRAME) {
+            this.stepListeners.forEach(listener => listener(this.tick));
+            if (scene.update) scene.update(this.STEP);
+            this.tick++;
+            this.accumulator -= this.STEP;
+            steps++;
+            // The scene may have halted itself (game over)
+            if (!this.running) break;
+        }
+        if (steps === this.MAX_STEPS_PER_FRAME) this.accumulator = 0;
+
+        // Still draw the frame a scene halted on
+        if (scene.draw) scene.draw(dt);
+
+        this.wake();
+    }
+};
@@ -0,0 +1,114 @@
+// Score Store - persistent high-score tables shared by all mini-games
+// Each game keeps its own top-10 table in localStorage.
+
+const ScoreStore = {
+    STORAGE_KEY: 'chesa-scores-v1',
+    INITIALS_KEY: 'chesa-initials',
+    MAX_ENTRIES: 10,
+    GAMES: ['leli', 'flappy', 'angry'],
+
+    tables: null,
+
+    load: function () {
+        if (this.tables) return this.tables;
+
+        this.tables = {};
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : {};
+            this.GAMES.forEach(game => {
+                this.tables[game] = Array.isArray(parsed[game]) ? parsed[game] : [];
+            });
+        } catch (e) {
+            console.warn('Could not read high scores:', e);
+            this.GAMES.forEach(game => {
+                this.tables[game] = [];
+            });
+        }
+        return this.tables;
+    },
+
+    save: function () {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.tables));
+        } catch (e) {
+            console.warn('Could not save high scores:', e);
+        }
+    },
+
+    getTable: function (game) {
+        return this.load()[game] || [];
+    },
+
+    getBest: function (game) {
+        const table = this.getTable(game);
+        return table.length ? table[0].score : 0;
+    },
+
+    // Would this score make it onto the table?
+    qualifies: function (game, score) {
+        if (score <= 0) return false;
+        const table = this.getTable(game);
+        return table.length < this.MAX_ENTRIES || score > table[table.length - 1].score;
+    },
+
+    // Add a finished run. Returns the saved entry and its rank (1-based),
+    // or null when the score did not make the table.
+    submit: function (game, score, level) {
+        const previousBest = this.getBest(game);
+        const result = {
+            entry: null,
+            rank: 0,
+            isNewBest: score > 0 && score > previousBest,
+            previousBest
+        };
+        if (!this.qualifies(game, score)) return result;
+
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            score,
+            initials: this.getLastInitials(),
+            date: new Date().toISOString()
+        };
+        if (typeof level === 'number') entry.level = level;
+
+        const table = this.getTable(game);
+        table.push(entry);
+        // Stable sort keeps older entries ahead on ties
+        table.sort((a, b) => b.score - a.score);
+        table.length = Math.min(table.length, this.MAX_ENTRIES);
+        this.save();
+
+        result.rank = table.indexOf(entry) + 1;
+        result.entry = result.rank > 0 ? entry : null;
+        return result;
+    },
+
+    setInitials: function (game, entryId, initials) {
+        const clean = this.cleanInitials(initials);
+        const entry = this.getTable(game).find(e => e.id === entryId);
+        if (entry) {
+            entry.initials = clean;
+            this.save();
+        }
+        try {
+            localStorage.setItem(this.INITIALS_KEY, clean);
+        } catch (e) {
+            // Remembering initials is only a convenience
+        }
+        return clean;
+    },
+
+    getLastInitials: function () {
+        try {
+            return localStorage.getItem(this.INITIALS_KEY) || '???';
+        } catch (e) {
+            return '???';
+        }
+    },
+
+    cleanInitials: function (initials) {
+        const clean = String(initials || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+        return clean || '???';
+    }
+};
@@ -0,0 +1,131 @@
+// Settings Panel - audio, control and graphics options
+// Opens over the main menu or the pause overlay and returns to whichever
+// opened it. The controls write straight to the Settings store; the audio,
+// input and drawing code react through Settings.onChange. Key bindings live
+// in their own screen behind it and are stored by input.js.
+
+const SettingsPanel = {
+    panel: null,
+    muteButton: null,
+    openedFrom: null, // 'menu' or 'pause' while open
+    bindingsPanel: null,
+
+    init: function () {
+        this.panel = document.getElementById('settings-panel');
+        this.muteButton = document.getElementById('mute-btn');
+        this.bindingsPanel = document.getElementById('keybindings');
+
+        Settings.bindRange('master-volume', 'masterVolume');
+        Settings.bindRange('music-volume', 'musicVolume');
+        Settings.bindRange('sfx-volume', 'sfxVolume');
+        Settings.bindSelect('control-scheme', 'controlScheme');
+        Settings.bindSelect('effects-quality', 'effectsQuality');
+        Settings.bindCheckbox('reduced-motion-toggle', 'reducedMotion');
+
+        this.muteButton.addEventListener('click', () => Settings.set('muted', !Settings.get('muted')));
+        Settings.onChange(key => {
+            if (key === 'muted') this.syncMuteButton();
+        });
+        this.syncMuteButton();
+
+        document.getElementById('settings-btn').addEventListener('click', () => this.open('menu'));
+        document.getElementById('pause-settings-btn').addEventListener('click', () => this.open('pause'));
+        document.getElementById('settings-back-btn').addEventListener('click', () => this.close());
+        document.getElementById('keybindings-btn').addEventListener('click', () => this.openBindings());
+        document.getElementById('keybindings-back-btn').addEventListener('click', () => this.closeBindings());
+        document.getElementById('keybindings-reset-btn').addEventListener('click', () => {
+            Input.resetBindings();
+            this.renderBindings();
+        });
+
+        // Resuming with P/Esc or switching scenes takes the panel with it
+        SceneManager.onChange(() => {
+            if (this.openedFrom === 'pause' && !SceneManager.paused) this.close();
+        });
+    },
+
+    open: function (from) {
+        this.openedFrom = from;
+        const under = from === 'pause' ? 'pause-overlay' : 'main-menu';
+        document.getElementById(under).classList.add('hidden');
+        this.panel.classList.remove('hidden');
+    },
+
+    close: function () {
+        const from = this.openedFrom;
+        this.openedFrom = null;
+        Input.cancelCapture();
+        this.panel.classList.add('hidden');
+        this.bindingsPanel.classList.add('hidden');
+        if (from === 'pause') {
+            PauseMenu.sync();
+        } else if (from === 'menu' && SceneManager.isActive('menu')) {
+            document.getElementById('main-menu').classList.remove('hidden');
+        }
+    },
+
+    // ---------- Key bindings ----------
+
+    openBindings: function () {
+        this.panel.classList.add('hidden');
+        this.renderBindings();
+        this.bindingsPanel.classList.remove('hidden');
+    },
+
+    closeBindings: function () {
+        Input.cancelCapture();
+        this.bindingsPanel.classList.add('hidden');
+        this.panel.classList.remove('hidden');
+    },
+
+    // One row per action with a button for each key slot
+    renderBindings: function () {
+        const list = document.getElementById('keybindings-list');
+        list.innerHTML = '';
+        Object.keys(Input.ACTIONS).forEach(action => {
+            const label = document.createElement('span');
+            label.textContent = Input.ACTIONS[action].label;
+
+            const slots = document.createElement('div');
+            if (!Input.ACTIONS[action].keys) {
+                slots.className = 'keybinding-fixed';
+                slots.textContent = 'Mouse, touch or right stick';
+            } else {
+                slots.className = 'keybinding-slots';
+                const keys = Input.getKeys(action);
+                for (let slot = 0; slot < Input.SLOTS; slot++) {
+                    const button = document.createElement('button');
+                    button.textContent = keys[slot] ? Input.keyLabel(keys[slot]) : '—';
+                    button.dataset.label = button.textContent;
+                    button.addEventListener('click', () => this.listenForKey(button, action, slot));
+                    slots.appendChild(button);
+                }
+            }
+            list.append(label, slots);
+        });
+    },
+
+    listenForKey: function (button, action, slot) {
+        const previous = this.bindingsPanel.querySelector('.listening');
+        if (previous) {
+            previous.classList.remove('listening');
+            previous.textContent = previous.dataset.label;
+        }
+        button.classList.add('listening');
+        button.textContent = 'Press a key…';
+        Input.captureKey(code => {
+            if (code === 'Backspace' || code === 'Delete') {
+                Input.unbind(action, slot);
+            } else if (code) {
+                Input.bind(action, slot, code);
+            }
+            this.renderBindings();
+        });
+    },
+
+    syncMuteButton: function () {
+        this.muteButton.textContent = Settings.get('muted') ? '🔇 Unmute' : '🔊 Mute';
+    }
+};
+
+SettingsPanel.init();
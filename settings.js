@@ -0,0 +1,102 @@
+// Settings - player preferences saved in localStorage
+// Read values with Settings.get(key); anything that needs to react to a
+// change subscribes with Settings.onChange.
+
+const Settings = {
+    STORAGE_KEY: 'chesa-settings-v1',
+
+    DEFAULTS: {
+        trajectoryPreview: true, // Angry Leli aim arc and previous-shot ghost
+        angryHardMode: false, // no aim assist at all
+        leliDifficulty: 'normal', // key of DIFFICULTY_PRESETS
+        leliMode: 'solo', // key of LELI_MODES
+        flappyGhost: true, // race the ghost of the Kuh Kayi Flap personal best
+        masterVolume: 1, // 0-1
+        musicVolume: 0.5, // 0-1
+        sfxVolume: 1, // 0-1
+        muted: false,
+        controlScheme: 'touch', // Leli Poop: 'keys', 'touch' (screen halves) or 'tilt'
+        tiltNeutral: 0, // degrees of tilt that count as level, set by calibration
+        effectsQuality: 'high', // key of EFFECTS_QUALITY
+        // Start from the system preference until the player picks
+        reducedMotion: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches)
+    },
+
+    values: null,
+    listeners: [],
+
+    load: function () {
+        if (this.values) return this.values;
+
+        this.values = { ...this.DEFAULTS };
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : {};
+            Object.keys(this.DEFAULTS).forEach(key => {
+                // Ignore stored values of the wrong type, e.g. from an older version
+                if (parsed && typeof parsed[key] === typeof this.DEFAULTS[key]) {
+                    this.values[key] = parsed[key];
+                }
+            });
+        } catch (e) {
+            console.warn('Could not read settings:', e);
+        }
+        return this.values;
+    },
+
+    save: function () {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    },
+
+    get: function (key) {
+        return this.load()[key];
+    },
+
+    set: function (key, value) {
+        if (this.get(key) === value) return;
+        this.values[key] = value;
+        this.save();
+        this.listeners.forEach(fn => fn(key, value));
+    },
+
+    onChange: function (fn) {
+        this.listeners.push(fn);
+    },
+
+    // Keep a checkbox and a boolean setting in sync both ways
+    bindCheckbox: function (id, key) {
+        const input = document.getElementById(id);
+        input.checked = this.get(key);
+        input.addEventListener('change', () => this.set(key, input.checked));
+        this.onChange((changed, value) => {
+            if (changed === key) input.checked = value;
+        });
+        return input;
+    },
+
+    // Same for a range slider and a numeric setting
+    bindRange: function (id, key) {
+        const input = document.getElementById(id);
+        input.value = this.get(key);
+        input.addEventListener('input', () => this.set(key, Number(input.value)));
+        this.onChange((changed, value) => {
+            if (changed === key) input.value = value;
+        });
+        return input;
+    },
+
+    // And a <select> and a string setting
+    bindSelect: function (id, key) {
+        const input = document.getElementById(id);
+        input.value = this.get(key);
+        input.addEventListener('change', () => this.set(key, input.value));
+        this.onChange((changed, value) => {
+            if (changed === key) input.value = value;
+        });
+        return input;
+    }
+};
@@ -1,10 +1,32 @@
-const CACHE_NAME = 'leli-poop-v3';
+const CACHE_NAME = 'leli-poop-v31';
 const ASSETS = [
     './',
     './index.html',
     './style.css',
+    './rng.js',
+    './events.js',
+    './scores.js',
+    './settings.js',
+    './mixer.js',
+    './achievements.js',
+    './scenes.js',
+    './input.js',
+    './levels.js',
+    './physics.js',
     './game.js',
+    './editor.js',
     './flappy.js',
+    './music.js',
+    './replay.js',
+    './pause.js',
+    './settings-panel.js',
+    './gamepad.js',
+    './levels/manifest.json',
+    './assets/sounds/manifest.json',
+    './assets/sounds/sfx.wav',
+    './levels/level-01.json',
+    './levels/level-02.json',
+    './levels/level-03.json',
     './assets/leli.png',
     './assets/leli-sad.jpg',
     './assets/kuhkayi.png',